@@ -0,0 +1,75 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Requests to Airflow's stable REST API, shared by its clients. Their options are:
+//  baseUrl: where the API is served, e.g. "http://localhost:8080/api/v1" ('/api/v1' by default)
+//  fetch: used instead of the fetch of the browser, e.g. mockAirflowFetch() of airflowFixtures.js
+//  headers: added to every request, e.g. for auth
+
+// Thrown when a request fails. When requests are sent one after the other, responses are those of
+// the requests sent before, whose changes were made.
+export class AirflowApiError extends Error {
+    constructor(message, status, responses = []) {
+        super(message);
+        this.name = 'AirflowApiError';
+        this.status = status;
+        this.responses = responses;
+    }
+}
+
+// The boolean flags of a request body: the value in options of each key of defaults, or else its default
+export function requestFlags(defaults, options) {
+    const flags = {};
+    Object.keys(defaults).forEach(key => {
+        flags[key] = key in options ? Boolean(options[key]) : defaults[key];
+    });
+    return flags;
+}
+
+function apiUrl(path, options) {
+    return `${(options.baseUrl || '/api/v1').replace(/\/$/, '')}${path}`;
+}
+
+// GET path (e.g. "/dags/example_task_group") with the query params and resolve to the parsed response
+export async function getJSON(path, params, options) {
+    const fetchImpl = options.fetch || fetch;
+    const query = new URLSearchParams(params).toString();
+    const response = await fetchImpl(`${apiUrl(path, options)}${query ? `?${query}` : ''}`, {
+        headers: Object.assign({ 'Accept': 'application/json' }, options.headers),
+    });
+    if (!response.ok)
+        throw new AirflowApiError(`Failed to get ${path}: ${response.status} ${response.statusText}`, response.status);
+    return response.json();
+}
+
+// POST each of requests, a list of {dagId, body}, to /dags/{dag_id}/{endpoint} in turn, and resolve
+// to the list of parsed responses in the same order. Stops at the first request that fails.
+export async function postDagRequests(endpoint, requests, options) {
+    const fetchImpl = options.fetch || fetch;
+    const responses = [];
+
+    for (const request of requests) {
+        const path = `/dags/${encodeURIComponent(request.dagId)}/${endpoint}`;
+        const response = await fetchImpl(apiUrl(path, options), {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, options.headers),
+            body: JSON.stringify(request.body),
+        });
+        if (!response.ok)
+            throw new AirflowApiError(`Failed to post ${path}: ${response.status} ${response.statusText}`, response.status, responses);
+        responses.push(await response.json());
+    }
+
+    return responses;
+}
@@ -0,0 +1,143 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {getJSON} from './airflowApi.js';
+
+// Building the data of a TaskInstanceTree, {dag_id, schedule_interval, nodes}, from Airflow's stable
+// REST API: GET /dags/{dag_id}, /dags/{dag_id}/tasks, /dags/{dag_id}/dagRuns and
+// /dags/{dag_id}/dagRuns/~/taskInstances. See airflowFixtures.js for recorded responses.
+
+const DEFAULT_OPTIONS = {
+    baseUrl: '/api/v1',
+    // The number of latest DAG runs drawn, like the "Number of runs" of Airflow's Tree View
+    runs: 25,
+    // The limit of each request to a paginated endpoint
+    pageSize: 100,
+};
+
+// Fetch a DAG and its latest runs from the Airflow API and resolve to {dag_id, schedule_interval,
+// nodes}. See airflowApi.js for options.baseUrl, fetch and headers; options.runs and
+// options.pageSize are described in DEFAULT_OPTIONS.
+export async function fetchDagData(dagId, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const dagPath = `/dags/${encodeURIComponent(dagId)}`;
+
+    const dag = await getJSON(dagPath, {}, settings);
+    const tasks = (await getJSON(`${dagPath}/tasks`, {}, settings)).tasks;
+    const dagRuns = await getPages(`${dagPath}/dagRuns`, 'dag_runs', { order_by: '-execution_date' }, settings.runs, settings);
+
+    // The task instances of all the runs fetched, which are the latest ones, so the oldest of them
+    // is where the task instances start
+    let taskInstances = [];
+    if (dagRuns.length) {
+        const oldest = dagRuns.reduce((oldest, run) => Date.parse(run.execution_date) < Date.parse(oldest) ? run.execution_date : oldest, dagRuns[0].execution_date);
+        taskInstances = await getPages(`${dagPath}/dagRuns/~/taskInstances`, 'task_instances', { execution_date_gte: oldest }, Infinity, settings);
+    }
+
+    return buildDagData(dag, tasks, dagRuns, taskInstances);
+}
+
+// Build {dag_id, schedule_interval, nodes} from the payloads of the API: the DAG, its tasks, and
+// lists of DAG runs and task instances (the dag_runs and task_instances of the responses).
+// The TaskGroup of a task is its task_group field if the API has it, or else the prefix of its
+// task_id, as Airflow prefixes the task_ids in a TaskGroup with the group_id by default.
+export function buildDagData(dag, tasks, dagRuns, taskInstances) {
+    const nodes = [];
+    const groups = new Set();
+
+    function addGroup(groupId) {
+        if (groupId === null || groups.has(groupId))
+            return;
+        groups.add(groupId);
+        const parentId = parentGroupId(groupId);
+        addGroup(parentId);
+        nodes.push({ id: groupId, label: lastPart(groupId, parentId), group_id: parentId });
+    }
+
+    const taskNodes = new Map();
+    tasks.forEach(task => {
+        const groupId = taskGroupId(task);
+        addGroup(groupId);
+        const node = {
+            id: task.task_id,
+            label: lastPart(task.task_id, groupId),
+            group_id: groupId,
+            operator: task.class_ref ? task.class_ref.class_name : task.operator,
+            downstream_task_ids: task.downstream_task_ids || [],
+            task_instances: [],
+        };
+        taskNodes.set(task.task_id, node);
+        nodes.push(node);
+    });
+
+    // Only the task instances of the runs and tasks given, in case the API returned those of other
+    // runs too, or of tasks removed from the DAG
+    const executionDates = new Set(dagRuns.map(run => Date.parse(run.execution_date)));
+    taskInstances.forEach(ti => {
+        const node = taskNodes.get(ti.task_id);
+        if (!node || !executionDates.has(Date.parse(ti.execution_date)))
+            return;
+        const taskInstance = {
+            execution_date: ti.execution_date,
+            state: ti.state,
+            try_number: ti.try_number,
+            start_date: ti.start_date,
+            end_date: ti.end_date,
+            duration: ti.duration,
+        };
+        // Only the task instances of mapped tasks have a map_index other than -1 (from Airflow 2.3)
+        if (typeof ti.map_index == 'number' && ti.map_index != -1)
+            taskInstance.map_index = ti.map_index;
+        node.task_instances.push(taskInstance);
+    });
+
+    return { dag_id: dag.dag_id, schedule_interval: dag.schedule_interval, nodes: nodes };
+}
+
+// The group_id of the TaskGroup of a task, or null at the top level. task_group is either the
+// group_id or an object with one.
+function taskGroupId(task) {
+    if (task.task_group !== undefined) {
+        if (task.task_group === null || typeof task.task_group == 'string')
+            return task.task_group || null;
+        return task.task_group.group_id || null;
+    }
+    return parentGroupId(task.task_id);
+}
+
+// "section_2.inner_section_2" is in "section_2", which is at the top level
+function parentGroupId(id) {
+    const index = id.lastIndexOf('.');
+    return index == -1 ? null : id.slice(0, index);
+}
+
+// The label of a node: its id without the group_id of its TaskGroup
+function lastPart(id, groupId) {
+    return groupId !== null && id.startsWith(`${groupId}.`) ? id.slice(groupId.length + 1) : id;
+}
+
+// Follow the limit/offset pagination of a collection endpoint until max items (or all of them) are
+// fetched, and resolve to the list of items, which are the key of each response. A page shorter
+// than the limit isn't the last one: Airflow caps the limit to its maximum_page_limit.
+async function getPages(path, key, params, max, settings) {
+    const items = [];
+    for (;;) {
+        const limit = Math.min(settings.pageSize, max - items.length);
+        const page = await getJSON(path, Object.assign({}, params, { limit: limit, offset: items.length }), settings);
+        const pageItems = page[key] || [];
+        items.push(...pageItems);
+        if (pageItems.length == 0 || items.length >= max || items.length >= page.total_entries)
+            return items.slice(0, max);
+    }
+}
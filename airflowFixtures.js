@@ -0,0 +1,159 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Responses of Airflow 2.0's stable REST API recorded from example_task_group, and a fetch that
+// serves them like a local Airflow webserver, for trying out and testing airflowDataSource.js offline.
+
+// The payloads by dag_id: the DAG (GET /dags/{dag_id}), and the items of the tasks, dagRuns and
+// taskInstances endpoints
+export const AIRFLOW_FIXTURES = {
+    example_task_group: {
+        dag: {"dag_id": "example_task_group", "root_dag_id": null, "is_paused": false, "is_subdag": false, "fileloc": "/opt/airflow/airflow/example_dags/example_task_group.py", "file_token": "Ii9vcHQvYWlyZmxvdy9haXJmbG93L2V4YW1wbGVfZGFncy9leGFtcGxlX3Rhc2tfZ3JvdXAucHki.4fw2hOVvsb7GcG2QYIXNKPUTEns", "owners": ["airflow"], "description": null, "schedule_interval": {"__type": "CronExpression", "value": "@daily"}, "tags": [{"name": "example"}]},
+        tasks: [
+            {"class_ref": {"class_name": "DummyOperator", "module_path": "airflow.operators.dummy"}, "task_id": "end", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#e8f7e4", "ui_fgcolor": "#000", "template_fields": [], "sub_dag": null, "downstream_task_ids": []},
+            {"class_ref": {"class_name": "DummyOperator", "module_path": "airflow.operators.dummy"}, "task_id": "section_1.task_1", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#e8f7e4", "ui_fgcolor": "#000", "template_fields": [], "sub_dag": null, "downstream_task_ids": ["section_1.task_2", "section_1.task_3"]},
+            {"class_ref": {"class_name": "BashOperator", "module_path": "airflow.operators.bash"}, "task_id": "section_1.task_2", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#f0ede4", "ui_fgcolor": "#000", "template_fields": ["bash_command", "env"], "sub_dag": null, "downstream_task_ids": ["section_2.inner_section_2.task_2", "section_2.inner_section_2.task_3", "section_2.task_1"]},
+            {"class_ref": {"class_name": "BashOperator", "module_path": "airflow.operators.bash"}, "task_id": "section_1.task_3", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#f0ede4", "ui_fgcolor": "#000", "template_fields": ["bash_command", "env"], "sub_dag": null, "downstream_task_ids": ["section_2.inner_section_2.task_2", "section_2.inner_section_2.task_3", "section_2.task_1"]},
+            {"class_ref": {"class_name": "BashOperator", "module_path": "airflow.operators.bash"}, "task_id": "section_2.inner_section_2.task_2", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#f0ede4", "ui_fgcolor": "#000", "template_fields": ["bash_command", "env"], "sub_dag": null, "downstream_task_ids": ["section_2.inner_section_2.task_4"]},
+            {"class_ref": {"class_name": "BashOperator", "module_path": "airflow.operators.bash"}, "task_id": "section_2.inner_section_2.task_3", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#f0ede4", "ui_fgcolor": "#000", "template_fields": ["bash_command", "env"], "sub_dag": null, "downstream_task_ids": ["section_2.inner_section_2.task_4"]},
+            {"class_ref": {"class_name": "BashOperator", "module_path": "airflow.operators.bash"}, "task_id": "section_2.inner_section_2.task_4", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#f0ede4", "ui_fgcolor": "#000", "template_fields": ["bash_command", "env"], "sub_dag": null, "downstream_task_ids": ["end"]},
+            {"class_ref": {"class_name": "BashOperator", "module_path": "airflow.operators.bash"}, "task_id": "section_2.task_1", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#f0ede4", "ui_fgcolor": "#000", "template_fields": ["bash_command", "env"], "sub_dag": null, "downstream_task_ids": ["end"]},
+            {"class_ref": {"class_name": "DummyOperator", "module_path": "airflow.operators.dummy"}, "task_id": "start", "owner": "airflow", "start_date": "2021-01-01T00:00:00+00:00", "end_date": null, "trigger_rule": "all_success", "extra_links": [], "depends_on_past": false, "wait_for_downstream": false, "retries": 0, "queue": "default", "pool": "default_pool", "pool_slots": 1, "execution_timeout": null, "retry_delay": {"__type": "TimeDelta", "days": 0, "seconds": 300, "microseconds": 0}, "retry_exponential_backoff": false, "priority_weight": 1, "weight_rule": "downstream", "ui_color": "#e8f7e4", "ui_fgcolor": "#000", "template_fields": [], "sub_dag": null, "downstream_task_ids": ["section_1.task_1"]},
+        ],
+        dagRuns: [
+            {"dag_run_id": "scheduled__2021-04-14T00:00:00+00:00", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:01+00:00", "end_date": "2021-04-15T00:16:53.270243+00:00", "state": "success", "external_trigger": false, "conf": {}},
+            {"dag_run_id": "scheduled__2021-04-15T00:00:00+00:00", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:08+00:00", "end_date": "2021-04-16T00:16:50.830623+00:00", "state": "failed", "external_trigger": false, "conf": {}},
+            {"dag_run_id": "scheduled__2021-04-16T00:00:00+00:00", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:15+00:00", "end_date": null, "state": "running", "external_trigger": false, "conf": {}},
+        ],
+        taskInstances: [
+            {"task_id": "start", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:03+00:00", "end_date": "2021-04-15T00:16:04.471498+00:00", "duration": 1.471498, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-15T00:16:02+00:00", "pid": 4100, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_1", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:07.471498+00:00", "end_date": "2021-04-15T00:16:09.155968+00:00", "duration": 1.68447, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-15T00:16:06.471498+00:00", "pid": 4101, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_2", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:11.155968+00:00", "end_date": "2021-04-15T00:16:11.873277+00:00", "duration": 0.717309, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-15T00:16:10.155968+00:00", "pid": 4102, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_3", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:17.873277+00:00", "end_date": "2021-04-15T00:16:18.655667+00:00", "duration": 0.78239, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-15T00:16:16.873277+00:00", "pid": 4103, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.task_1", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:24.655667+00:00", "end_date": "2021-04-15T00:16:25.329664+00:00", "duration": 0.673997, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-15T00:16:23.655667+00:00", "pid": 4104, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_2", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:31.329664+00:00", "end_date": "2021-04-15T00:16:32.473759+00:00", "duration": 1.144095, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-15T00:16:30.329664+00:00", "pid": 4105, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_3", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:34.473759+00:00", "end_date": "2021-04-15T00:16:36.274696+00:00", "duration": 1.800937, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-15T00:16:33.473759+00:00", "pid": 4106, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_4", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:38.274696+00:00", "end_date": "2021-04-15T00:16:39.496685+00:00", "duration": 1.221989, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-15T00:16:37.274696+00:00", "pid": 4107, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "end", "dag_id": "example_task_group", "execution_date": "2021-04-14T00:00:00+00:00", "start_date": "2021-04-15T00:16:45.496685+00:00", "end_date": "2021-04-15T00:16:47.270243+00:00", "duration": 1.773558, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-15T00:16:44.496685+00:00", "pid": 4108, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "start", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:10+00:00", "end_date": "2021-04-16T00:16:10.871406+00:00", "duration": 0.871406, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-16T00:16:09+00:00", "pid": 4109, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_1", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:13.871406+00:00", "end_date": "2021-04-16T00:16:16.263284+00:00", "duration": 2.391878, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-16T00:16:12.871406+00:00", "pid": 4110, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_2", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:22.263284+00:00", "end_date": "2021-04-16T00:16:25.606411+00:00", "duration": 3.343127, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-16T00:16:21.263284+00:00", "pid": 4111, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_3", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:31.606411+00:00", "end_date": "2021-04-16T00:16:33.863035+00:00", "duration": 2.256624, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-16T00:16:30.606411+00:00", "pid": 4112, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.task_1", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:35.863035+00:00", "end_date": "2021-04-16T00:16:39.291800+00:00", "duration": 3.428765, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-16T00:16:34.863035+00:00", "pid": 4113, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_2", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:41.291800+00:00", "end_date": "2021-04-16T00:16:43.461795+00:00", "duration": 2.169995, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-16T00:16:40.291800+00:00", "pid": 4114, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_3", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": "2021-04-16T00:16:46.461795+00:00", "end_date": "2021-04-16T00:16:47.830623+00:00", "duration": 1.368828, "state": "failed", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-16T00:16:45.461795+00:00", "pid": 4115, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_4", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": null, "end_date": null, "duration": null, "state": "upstream_failed", "try_number": 0, "max_tries": 0, "hostname": "", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": null, "pid": null, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "end", "dag_id": "example_task_group", "execution_date": "2021-04-15T00:00:00+00:00", "start_date": null, "end_date": null, "duration": null, "state": "upstream_failed", "try_number": 0, "max_tries": 0, "hostname": "", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": null, "pid": null, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "start", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:17+00:00", "end_date": "2021-04-17T00:16:19.122058+00:00", "duration": 2.122058, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-17T00:16:16+00:00", "pid": 4118, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_1", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:25.122058+00:00", "end_date": "2021-04-17T00:16:26.547503+00:00", "duration": 1.425445, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": "2021-04-17T00:16:24.122058+00:00", "pid": 4119, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_2", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:29.547503+00:00", "end_date": "2021-04-17T00:16:30.356670+00:00", "duration": 0.809167, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-17T00:16:28.547503+00:00", "pid": 4120, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_1.task_3", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:36.356670+00:00", "end_date": "2021-04-17T00:16:38.773410+00:00", "duration": 2.41674, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-17T00:16:35.356670+00:00", "pid": 4121, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.task_1", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:42.773410+00:00", "end_date": null, "duration": null, "state": "running", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-17T00:16:41.773410+00:00", "pid": 4122, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_2", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:45.565702+00:00", "end_date": "2021-04-17T00:16:47.758807+00:00", "duration": 2.193105, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-17T00:16:44.565702+00:00", "pid": 4123, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_3", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": "2021-04-17T00:16:53.758807+00:00", "end_date": "2021-04-17T00:16:54.876683+00:00", "duration": 1.117876, "state": "success", "try_number": 1, "max_tries": 0, "hostname": "worker-1", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": "2021-04-17T00:16:52.758807+00:00", "pid": 4124, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "section_2.inner_section_2.task_4", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": null, "end_date": null, "duration": null, "state": null, "try_number": 0, "max_tries": 0, "hostname": "", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "BashOperator", "queued_when": null, "pid": null, "executor_config": "{}", "sla_miss": null},
+            {"task_id": "end", "dag_id": "example_task_group", "execution_date": "2021-04-16T00:00:00+00:00", "start_date": null, "end_date": null, "duration": null, "state": null, "try_number": 0, "max_tries": 0, "hostname": "", "unixname": "airflow", "pool": "default_pool", "pool_slots": 1, "queue": "default", "priority_weight": 1, "operator": "DummyOperator", "queued_when": null, "pid": null, "executor_config": "{}", "sla_miss": null},
+        ],
+    },
+};
+
+// Return a fetch serving fixtures (AIRFLOW_FIXTURES by default) under any base url ending in
+// /api/v1, with the limit/offset pagination, order_by and execution_date_gte/lte filters of the API.
+// It also answers POST /dags/{dag_id}/clearTaskInstances and /dags/{dag_id}/updateTaskInstancesState
+// by changing the states of the task instances it serves (of a copy of fixtures), unless dry_run is
+// set. Their include_* flags are ignored. The requests made are recorded in the requests property of
+// the function, as {url, options}.
+export function mockAirflowFetch(fixtures = AIRFLOW_FIXTURES) {
+    const served = JSON.parse(JSON.stringify(fixtures));
+    const mockFetch = async (url, options = {}) => {
+        mockFetch.requests.push({ url: url, options: options });
+        const parsed = new URL(url, 'http://localhost');
+        const path = decodeURIComponent(parsed.pathname.replace(/^.*\/api\/v1/, ''));
+        const params = parsed.searchParams;
+
+        const match = path.match(/^\/dags\/([^/]+)(\/tasks|\/dagRuns|\/dagRuns\/~\/taskInstances|\/clearTaskInstances|\/updateTaskInstancesState)?$/);
+        const dag = match && served[match[1]];
+        if (!dag)
+            return jsonResponse({ title: 'DAG not found', status: 404 }, 404, 'NOT FOUND');
+
+        if (options.method == 'POST')
+            return changeTaskInstances(dag, match[2], JSON.parse(options.body));
+        switch (match[2]) {
+            case undefined:
+                return jsonResponse(dag.dag);
+            case '/tasks':
+                return jsonResponse({ tasks: dag.tasks, total_entries: dag.tasks.length });
+            case '/dagRuns':
+                return jsonResponse(page('dag_runs', dag.dagRuns, params));
+            default:
+                return jsonResponse(page('task_instances', dag.taskInstances, params));
+        }
+    };
+    mockFetch.requests = [];
+    return mockFetch;
+}
+
+// Answer a POST to endpoint (the path after /dags/{dag_id}) with the task instances it changes, like
+// the API does
+function changeTaskInstances(dag, endpoint, body) {
+    const time = date => new Date(date).getTime();
+    let changed, state;
+    if (endpoint == '/clearTaskInstances') {
+        const ids = body.task_ids.map(id => JSON.stringify(id));
+        changed = dag.taskInstances.filter(ti =>
+            (ids.includes(JSON.stringify(ti.task_id)) || ids.includes(JSON.stringify([ti.task_id, ti.map_index]))) &&
+            time(ti.execution_date) >= time(body.start_date) && time(ti.execution_date) <= time(body.end_date) &&
+            (!body.only_failed || ti.state == 'failed'));
+        state = null;
+    } else if (endpoint == '/updateTaskInstancesState') {
+        changed = dag.taskInstances.filter(ti => ti.task_id == body.task_id && time(ti.execution_date) == time(body.execution_date));
+        state = body.new_state;
+    } else {
+        return jsonResponse({ title: 'Method Not Allowed', status: 405 }, 405, 'METHOD NOT ALLOWED');
+    }
+
+    if (!body.dry_run)
+        changed.forEach(ti => ti.state = state);
+    return jsonResponse({
+        task_instances: changed.map(ti => ({ task_id: ti.task_id, dag_id: ti.dag_id, execution_date: ti.execution_date })),
+    });
+}
+
+// One page of a collection, like the API returns it
+function page(key, items, params) {
+    const time = date => new Date(date).getTime();
+    let selected = items.filter(item =>
+        (!params.has('execution_date_gte') || time(item.execution_date) >= time(params.get('execution_date_gte'))) &&
+        (!params.has('execution_date_lte') || time(item.execution_date) <= time(params.get('execution_date_lte'))));
+
+    const orderBy = params.get('order_by');
+    if (orderBy) {
+        const field = orderBy.replace(/^-/, '');
+        const order = orderBy.startsWith('-') ? -1 : 1;
+        selected = selected.slice().sort((a, b) => a[field] < b[field] ? -order : a[field] > b[field] ? order : 0);
+    }
+
+    const offset = Number(params.get('offset')) || 0;
+    const limit = params.has('limit') ? Number(params.get('limit')) : 100;
+    return { [key]: selected.slice(offset, offset + limit), total_entries: selected.length };
+}
+
+function jsonResponse(body, status = 200, statusText = 'OK') {
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        statusText: statusText,
+        json: async () => JSON.parse(JSON.stringify(body)),
+    };
+}
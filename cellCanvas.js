@@ -0,0 +1,223 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Draws the task instance cells of a TaskInstanceTree to a <canvas> instead of one <rect> per cell.
+// The canvas only covers the part of the grid that is visible in the scrolling container, and only
+// the cells in that part are drawn, so the cost doesn't grow with the number of tasks and runs.
+export class CellCanvas {
+    // container is the scrolling element holding the svg. cellClass(cell) returns the css classes
+    // the cell would have as a <rect>; the colors are looked up from the stylesheet with them.
+    // handlers.click(event, cell) is called when a cell is clicked, handlers.hover(event, cell) when
+    // the mouse moves over a cell, handlers.leave(event) when it leaves the cells and
+    // handlers.contextmenu(event, cell) when a cell is right-clicked.
+    constructor(container, svg, cellClass, handlers) {
+        this.container = container;
+        this.svg = svg;
+        this.cellClass = cellClass;
+        this.layout = null;
+        // The cell with the keyboard focus, which is drawn with an outline
+        this.focusedCell = null;
+        // Cache of css classes to {fill, fillOpacity, stroke}, and of the focus color
+        this.colors = new Map();
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'cell-canvas';
+        this.canvas.addEventListener('click', event => {
+            const cell = this.cellAt(event.offsetX, event.offsetY);
+            if (cell)
+                handlers.click(event, cell);
+        });
+        this.canvas.addEventListener('mousemove', event => {
+            const cell = this.cellAt(event.offsetX, event.offsetY);
+            if (cell)
+                handlers.hover(event, cell);
+            else
+                handlers.leave(event);
+        });
+        this.canvas.addEventListener('mouseleave', event => handlers.leave(event));
+        this.canvas.addEventListener('contextmenu', event => {
+            const cell = this.cellAt(event.offsetX, event.offsetY);
+            if (cell && handlers.contextmenu)
+                handlers.contextmenu(event, cell);
+        });
+        container.appendChild(this.canvas);
+
+        this.onScroll = () => this.draw();
+        container.addEventListener('scroll', this.onScroll);
+        window.addEventListener('resize', this.onScroll);
+    }
+
+    remove() {
+        this.container.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onScroll);
+        this.canvas.remove();
+    }
+
+    // layout describes the grid in svg coordinates:
+    // {x, y}: top left corner of the first cell; step: distance between rows and columns;
+    // cellSize; rowCount; columnCount; cellAt(rowIndex, columnIndex): the cell or undefined;
+    // isDimmed(rowIndex): optional, whether the row is drawn faded out.
+    // barOf(cell): optional, the bar drawn over the cell in the duration and Gantt views, as
+    // fractions of the cell {x, y, width, height}, or null.
+    // When the runs are zoomed, columnStep and cellWidth are the distance between and the width of the
+    // columns, and nothing is drawn outside of clipLeft and clipRight.
+    setLayout(layout) {
+        this.layout = Object.assign({
+            columnStep: layout.step,
+            cellWidth: layout.cellSize,
+            clipLeft: -Infinity,
+            clipRight: Infinity,
+        }, layout);
+        this.draw();
+    }
+
+    setFocus(cell) {
+        this.focusedCell = cell;
+        this.draw();
+    }
+
+    // Scroll the container so that the cell at rowIndex and columnIndex is visible
+    scrollIntoView(rowIndex, columnIndex) {
+        const layout = this.layout;
+        const x = layout.x + columnIndex * layout.columnStep;
+        const y = layout.y + rowIndex * layout.step;
+        const container = this.container;
+        if (x < container.scrollLeft)
+            container.scrollLeft = x;
+        else if (x + layout.cellWidth > container.scrollLeft + container.clientWidth)
+            container.scrollLeft = x + layout.cellWidth - container.clientWidth;
+        if (y < container.scrollTop)
+            container.scrollTop = y;
+        else if (y + layout.cellSize > container.scrollTop + container.clientHeight)
+            container.scrollTop = y + layout.cellSize - container.clientHeight;
+    }
+
+    // Forget the cached colors, e.g. after the styles changed
+    clearColors() {
+        this.colors.clear();
+    }
+
+    // The color of the outline of the focused cell, from the --tree-focus-color custom property
+    focusColor() {
+        if (!this.colors.has('focus')) {
+            const color = getComputedStyle(this.svg).getPropertyValue('--tree-focus-color').trim();
+            this.colors.set('focus', color || 'black');
+        }
+        return this.colors.get('focus');
+    }
+
+    // Look up the fill and stroke of a cell by applying its classes to a temporary <rect>
+    colorsOf(cell) {
+        const classes = this.cellClass(cell);
+        if (!this.colors.has(classes)) {
+            const probe = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            probe.setAttribute('class', classes);
+            // Also pick up the ::part(cell) styles of the page
+            probe.setAttribute('part', 'cell');
+            this.svg.appendChild(probe);
+            const style = getComputedStyle(probe);
+            const fillOpacity = parseFloat(style.fillOpacity);
+            this.colors.set(classes, { fill: style.fill, fillOpacity: isNaN(fillOpacity) ? 1 : fillOpacity, stroke: style.stroke });
+            probe.remove();
+        }
+        return this.colors.get(classes);
+    }
+
+    // The part of the grid (in svg coordinates) that is scrolled into view
+    visibleArea() {
+        const layout = this.layout;
+        const left = Math.max(this.container.scrollLeft, layout.x, layout.clipLeft);
+        const top = Math.max(this.container.scrollTop, layout.y);
+        const right = Math.min(this.container.scrollLeft + this.container.clientWidth, layout.x + layout.columnCount * layout.columnStep, layout.clipRight);
+        const bottom = Math.min(this.container.scrollTop + this.container.clientHeight, layout.y + layout.rowCount * layout.step);
+        return { left, top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+    }
+
+    draw() {
+        if (!this.layout)
+            return;
+
+        const layout = this.layout;
+        const area = this.visibleArea();
+        const ratio = window.devicePixelRatio || 1;
+
+        this.area = area;
+        Object.assign(this.canvas.style, {
+            left: `${area.left}px`,
+            top: `${area.top}px`,
+            width: `${area.width}px`,
+            height: `${area.height}px`,
+        });
+        this.canvas.width = Math.ceil(area.width * ratio);
+        this.canvas.height = Math.ceil(area.height * ratio);
+
+        const context = this.canvas.getContext('2d');
+        if (!context)
+            return;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, area.width, area.height);
+
+        const firstRow = Math.max(0, Math.floor((area.top - layout.y) / layout.step));
+        const lastRow = Math.min(layout.rowCount - 1, Math.floor((area.top + area.height - layout.y) / layout.step));
+        const firstColumn = Math.max(0, Math.floor((area.left - layout.x) / layout.columnStep));
+        const lastColumn = Math.min(layout.columnCount - 1, Math.floor((area.left + area.width - layout.x) / layout.columnStep));
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            const alpha = layout.isDimmed && layout.isDimmed(row) ? 0.3 : 1;
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const cell = layout.cellAt(row, column);
+                if (!cell)
+                    continue;
+                const colors = this.colorsOf(cell);
+                const x = layout.x + column * layout.columnStep - area.left;
+                const y = layout.y + row * layout.step - area.top;
+                context.globalAlpha = alpha * colors.fillOpacity;
+                context.fillStyle = colors.fill;
+                context.fillRect(x, y, layout.cellWidth, layout.cellSize);
+                context.globalAlpha = alpha;
+                const bar = layout.barOf && layout.barOf(cell);
+                if (bar) {
+                    context.fillRect(x + bar.x * layout.cellWidth, y + bar.y * layout.cellSize,
+                        Math.max(1, bar.width * layout.cellWidth), bar.height * layout.cellSize);
+                }
+                context.strokeStyle = colors.stroke;
+                context.strokeRect(x + 0.5, y + 0.5, layout.cellWidth - 1, layout.cellSize - 1);
+                if (cell === this.focusedCell) {
+                    context.lineWidth = 2;
+                    context.strokeStyle = this.focusColor();
+                    context.strokeRect(x + 1, y + 1, layout.cellWidth - 2, layout.cellSize - 2);
+                    context.lineWidth = 1;
+                }
+            }
+        }
+    }
+
+    // Return the cell drawn at the given position of the canvas, if any
+    cellAt(offsetX, offsetY) {
+        if (!this.layout || !this.area)
+            return undefined;
+
+        const layout = this.layout;
+        const x = this.area.left + offsetX - layout.x;
+        const y = this.area.top + offsetY - layout.y;
+        const row = Math.floor(y / layout.step);
+        const column = Math.floor(x / layout.columnStep);
+        // Clicks in the gap between two cells don't belong to either
+        if (x - column * layout.columnStep > layout.cellWidth || y - row * layout.step > layout.cellSize)
+            return undefined;
+        if (!(row >= 0 && row < layout.rowCount && column >= 0 && column < layout.columnCount))
+            return undefined;
+        return layout.cellAt(row, column);
+    }
+}
@@ -0,0 +1,61 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {requestFlags, postDagRequests} from './airflowApi.js';
+
+// Client for Airflow's stable REST API endpoint POST /dags/{dag_id}/clearTaskInstances.
+// The endpoint clears a list of task_ids between start_date and end_date, so a selection of
+// {dag_id, task_id, execution_date} is turned into one request per DAG run. The task instances of
+// mapped tasks, which have a map_index, are cleared with [task_id, map_index] pairs.
+
+const DEFAULT_OPTIONS = {
+    only_failed: false,
+    include_upstream: false,
+    include_downstream: false,
+    // Same default as the endpoint: only report what would be cleared
+    dry_run: true,
+};
+
+// Build the request bodies for the given task instances (e.g. the included list of a
+// selectionchange event). Returns a list of {dagId, body}, one per dag_id and execution_date.
+export function buildClearRequests(taskInstances, options = {}) {
+    const flags = requestFlags(DEFAULT_OPTIONS, options);
+
+    const requests = new Map();
+    taskInstances.forEach(ti => {
+        const key = JSON.stringify([ti.dag_id, ti.execution_date]);
+        if (!requests.has(key)) {
+            requests.set(key, {
+                dagId: ti.dag_id,
+                body: Object.assign({
+                    task_ids: [],
+                    start_date: ti.execution_date,
+                    end_date: ti.execution_date,
+                }, flags),
+            });
+        }
+        const body = requests.get(key).body;
+        const taskId = ti.map_index === undefined ? ti.task_id : [ti.task_id, ti.map_index];
+        if (!body.task_ids.some(id => JSON.stringify(id) == JSON.stringify(taskId)))
+            body.task_ids.push(taskId);
+    });
+
+    return Array.from(requests.values());
+}
+
+// Send the clear requests to the Airflow API, see airflowApi.js for the options. Resolves to the
+// list of parsed responses, in the same order as buildClearRequests().
+export function clearTaskInstances(taskInstances, options = {}) {
+    return postDagRequests('clearTaskInstances', buildClearRequests(taskInstances, options), options);
+}
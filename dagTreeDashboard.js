@@ -0,0 +1,323 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import * as d3 from 'd3';
+import moment from 'moment';
+import {TaskInstanceTree} from './taskInstanceTree.js';
+import {parseSearch} from './treeFilter.js';
+import {isValidTimezone, fillTimezoneSelect} from './timezones.js';
+import {SEARCH_INPUT, WINDOW_CONTROLS, TIMEZONE_SELECT} from './toolbarControls.js';
+
+const template = document.createElement('template')
+template.innerHTML = `
+<style>
+:host {
+    display: block;
+}
+
+.toolbar {
+    font: var(--tree-font, 1em monospace);
+    font-size: 0.9em;
+    margin-bottom: 0.5em;
+}
+
+/* The dates of the runs, which stay in view while scrolling through the DAGs */
+.header {
+    position: sticky;
+    top: 0;
+    z-index: 1;
+    background: var(--tree-panel-background, white);
+}
+
+.axis-label {
+    font: var(--tree-font, 1em monospace);
+    fill: var(--tree-text-color, black);
+}
+
+@media (prefers-color-scheme: dark) {
+    .header {
+        background: var(--tree-panel-background, #2b2b2b);
+    }
+
+    .axis-label {
+        fill: var(--tree-text-color, #e0e0e0);
+    }
+}
+
+/* The dashboard has one toolbar for all the DAGs */
+task-instance-tree::part(toolbar) {
+    display: none;
+}
+</style>
+<h2 id='message'></h2>
+<div class='toolbar' part='toolbar'>
+${SEARCH_INPUT}
+${WINDOW_CONTROLS}
+    <button class='collapse-all'>Summary rows</button>
+    <button class='expand-all'>Expand DAGs</button>
+${TIMEZONE_SELECT}
+</div>
+<div class='header' part='header'>
+    <svg aria-hidden='true'></svg>
+</div>
+<div class='dags'>
+</div>
+`
+
+// Shows several DAGs, one <task-instance-tree> each, lined up on one time axis: every DAG gets a
+// column for the runs of all of them, the tree parts get the same width, zooming one zooms all of
+// them and the dates are drawn once in a sticky header.
+export class DagTreeDashboard extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'expand-depth', 'timezone'];
+    }
+
+    // dags is a list of {dag_id, nodes, schedule_interval} like getTestData() returns.
+    // options are passed to every TaskInstanceTree.
+    constructor(dags, options = {}) {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.appendChild(template.content.cloneNode(true));
+        this.dags = dags;
+        this.options = options;
+        this.trees = [];
+        // TaskGroups shallower than this are expanded when a DAG is first drawn. 0 only shows the
+        // summary row of each DAG.
+        this.expandDepth = 1;
+        // Fetches the list of DAGs of the src attribute. Replace it to send auth headers with the request.
+        this.fetch = (...args) => fetch(...args);
+        // Actions added with registerAction(), on top of those of options.actions
+        this.actions = [];
+        // Set while the trees are being lined up, to ignore the layoutchange events that causes
+        this.aligning = false;
+        // The timezone the dates of all the DAGs are shown in, see timezones.js
+        this.timezone = 'UTC';
+        this.setTimezone(options.timezone || 'UTC');
+
+        const search = this.shadowRoot.querySelector('.search');
+        search.addEventListener('input', () => this.trees.forEach(tree => tree.filter(parseSearch(search.value))));
+
+        const windowSize = this.shadowRoot.querySelector('.window-size');
+        windowSize.addEventListener('change', () => this.setDateWindow(windowSize.value ? { last: Number(windowSize.value) } : null));
+        this.shadowRoot.querySelector('.previous-page').addEventListener('click', () => this.previousPage());
+        this.shadowRoot.querySelector('.next-page').addEventListener('click', () => this.nextPage());
+        this.shadowRoot.querySelector('.collapse-all').addEventListener('click', () => this.setAllCollapsed(true));
+        this.shadowRoot.querySelector('.expand-all').addEventListener('click', () => this.setAllCollapsed(false));
+        const timezone = this.shadowRoot.querySelector('.timezone');
+        timezone.addEventListener('change', () => this.setTimezone(timezone.value));
+    }
+
+    get data() {
+        return this.dags;
+    }
+
+    set data(dags) {
+        this.dags = dags;
+        this.render();
+    }
+
+    connectedCallback() {
+        if (this.trees.length)
+            return;
+        if (!this.dags && this.hasAttribute('src'))
+            this.loadSrc(this.getAttribute('src'));
+        else
+            this.render();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue)
+            return;
+
+        switch (name) {
+            case 'src':
+                if (this.isConnected && newValue)
+                    this.loadSrc(newValue);
+                break;
+            case 'expand-depth':
+                this.expandDepth = newValue === null ? 1 : Number(newValue);
+                this.render();
+                break;
+            case 'timezone':
+                this.setTimezone(newValue || 'UTC');
+                break;
+        }
+    }
+
+    // Fetch the list of DAGs from a JSON url
+    async loadSrc(src) {
+        try {
+            const response = await this.fetch(src);
+            if (!response.ok)
+                throw new Error(`${response.status} ${response.statusText}`);
+            this.dags = await response.json();
+            this.shadowRoot.querySelector('#message').innerText = '';
+            this.render();
+        } catch (error) {
+            this.shadowRoot.querySelector('#message').innerText = `Failed to load ${src}: ${error.message}`;
+        }
+    }
+
+    // Draw a tree for each DAG, replacing the trees drawn before
+    render() {
+        if (!this.isConnected || !this.dags)
+            return;
+
+        const container = this.shadowRoot.querySelector('.dags');
+        this.trees.forEach(tree => tree.remove());
+
+        // The execution_dates of all the DAGs, parsed once for all the trees. Bad nodes are reported by
+        // the tree of their DAG.
+        const axisDates = new Map();
+        const listOf = value => Array.isArray(value) ? value : [];
+        this.dags.forEach(dag => listOf(dag.nodes).forEach(node => listOf(node && node.task_instances).forEach(ti => {
+            const date = typeof ti === 'string' ? ti : ti && ti.execution_date;
+            if (date && !axisDates.has(date) && moment.parseZone(date).isValid())
+                axisDates.set(date, moment.parseZone(date));
+        })));
+
+        this.trees = this.dags.map(dag => {
+            const tree = new TaskInstanceTree(dag.dag_id, dag.nodes, Object.assign({ scheduleInterval: dag.schedule_interval }, this.options, { timezone: this.timezone }));
+            // Nodes that aren't a list aren't drawn, so have the tree say why
+            if (!Array.isArray(dag.nodes))
+                tree.setData(dag);
+            tree.axisDates = Array.from(axisDates.values());
+            tree.showAxis = false;
+            tree.expandDepth = this.expandDepth;
+            this.actions.forEach(action => tree.registerAction(action));
+            tree.addEventListener('layoutchange', () => this.align(tree));
+            return tree;
+        });
+        this.aligning = true;
+        this.trees.forEach(tree => container.appendChild(tree));
+        this.aligning = false;
+        this.align(this.trees[0]);
+    }
+
+    // Line up the trees with source, the tree that changed: give them all the width of the widest
+    // tree part and the zoom of source. Then redraw the dates.
+    align(source) {
+        if (this.aligning || !source || !source.layout)
+            return;
+
+        this.aligning = true;
+        try {
+            const trees = this.trees.filter(tree => tree.layout);
+            const width = Math.max(...trees.map(tree => tree.layout.naturalHStart));
+            trees.forEach(tree => {
+                tree.minTreeWidth = width;
+                if (tree.layout.hStart != width)
+                    tree.updateTree(tree.root);
+            });
+
+            const zoom = source.zoomTransform;
+            trees.forEach(tree => {
+                if (tree.zoomTransform.k != zoom.k || tree.zoomTransform.x != zoom.x)
+                    tree.setZoom(zoom.k, zoom.x);
+            });
+        } finally {
+            this.aligning = false;
+        }
+        this.drawAxis(source);
+    }
+
+    // Draw the dates in the header, lined up with the runs of tree
+    drawAxis(tree) {
+        const layout = tree.layout;
+        // Where the runs start in the svg of the tree, and the middle of the column of a run from there
+        const origin = layout.nodeSize + layout.hStart;
+        const middle = date => layout.columnX(date) + layout.columnStep / 2;
+        const height = tree.layoutSizes().margin;
+        const labels = layout.executionDates.filter((date, index) =>
+            index % layout.labelEvery == 0 && middle(date) >= 0 && middle(date) < layout.viewWidth);
+
+        d3.select(this.shadowRoot.querySelector('.header svg'))
+            .attr('width', layout.width)
+            .attr('height', height)
+            .selectAll('text.axis-label')
+            .data(labels, date => date.valueOf())
+            .join(enter => enter.append('text').attr('class', 'axis-label').attr('part', 'axis-label'))
+            .text(date => tree.formatDate(date, layout.axisFormat))
+            .attr('transform', date => `translate(${origin + middle(date)}, ${height - layout.nodeSize / 2}) rotate(-60)`);
+    }
+
+    // Show only the runs in a window, see TaskInstanceTree.setDateWindow()
+    setDateWindow(window) {
+        this.shadowRoot.querySelector('.window-size').value = window && window.last ? String(window.last) : '';
+        this.trees.forEach(tree => tree.setDateWindow(window));
+    }
+
+    // Show the dates of all the DAGs in another timezone, see TaskInstanceTree.setTimezone()
+    setTimezone(zone) {
+        if (!isValidTimezone(zone))
+            zone = 'UTC';
+        this.timezone = zone;
+        fillTimezoneSelect(this.shadowRoot.querySelector('.timezone'), zone);
+        this.trees.forEach(tree => tree.setTimezone(zone));
+        if (this.trees.length)
+            this.align(this.trees[0]);
+    }
+
+    // Add an action to the context menu of all the DAGs, see TaskInstanceTree.registerAction()
+    registerAction(action) {
+        this.actions = this.actions.filter(other => other.id != action.id).concat([action]);
+        this.trees.forEach(tree => tree.registerAction(action));
+    }
+
+    unregisterAction(id) {
+        this.actions = this.actions.filter(action => action.id != id);
+        this.trees.forEach(tree => tree.unregisterAction(id));
+    }
+
+    previousPage() {
+        this.trees.forEach(tree => tree.previousPage());
+    }
+
+    nextPage() {
+        this.trees.forEach(tree => tree.nextPage());
+    }
+
+    // Collapse a DAG to its summary row, or expand it
+    setDagCollapsed(dagId, collapsed) {
+        const tree = this.trees.find(tree => tree.dagId == dagId);
+        if (tree && tree.root)
+            tree.setExpanded(tree.root.id, !collapsed);
+    }
+
+    // Collapse or expand all the DAGs, leaving out those that aren't drawn, e.g. because they failed
+    // strict validation
+    setAllCollapsed(collapsed) {
+        this.trees.filter(tree => tree.root).forEach(tree => tree.setExpanded(tree.root.id, !collapsed));
+    }
+
+    // Return the task instances checked in each DAG, as {dag_id: [{dag_id, task_id, execution_date}]}
+    getIncludedTaskInstances() {
+        return this.byDagId(tree => tree.getIncludedTaskInstances());
+    }
+
+    // Return the task instances unchecked in each DAG, as {dag_id: [{dag_id, task_id, execution_date}]}
+    getExcludedTaskInstances() {
+        return this.byDagId(tree => tree.getExcludedTaskInstances());
+    }
+
+    byDagId(taskInstances) {
+        const result = {};
+        this.trees.forEach(tree => {
+            result[tree.dagId] = taskInstances(tree);
+        });
+        return result;
+    }
+};
+
+customElements.define('dag-tree-dashboard', DagTreeDashboard);
@@ -0,0 +1,64 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import moment from 'moment';
+
+// The window of DAG runs drawn by a TaskInstanceTree. It's null for all runs, or one of
+//  {start, end}:    the runs between two execution_dates (inclusive), either of which can be left out
+//  {last, offset}:  the latest last runs, skipping the offset latest ones. Paging turns any window into this,
+//                   so that it stays on the same runs when newer ones are added.
+
+// Return {first, end}, the indices of the first run in the window and of the one after the last,
+// given the execution_dates of all the runs as sorted moments
+export function windowRange(dates, window) {
+    if (!window)
+        return { first: 0, end: dates.length };
+
+    if (window.last !== undefined) {
+        const end = Math.max(0, dates.length - (window.offset || 0));
+        return { first: Math.max(0, end - window.last), end: end };
+    }
+
+    const start = window.start ? moment.parseZone(window.start) : null;
+    const last = window.end ? moment.parseZone(window.end) : null;
+    let first = start ? dates.findIndex(date => !date.isBefore(start)) : 0;
+    if (first == -1)
+        first = dates.length;
+    let end = first;
+    while (end < dates.length && !(last && dates[end].isAfter(last)))
+        end++;
+    return { first: first, end: end };
+}
+
+// Move the window to the previous (older) or the next (newer) page of as many runs as it shows.
+// Returns {window, pastData}. pastData is true when paging back went past the oldest run, in
+// which case the window stops at the oldest run.
+export function pageWindow(dates, window, direction) {
+    const range = windowRange(dates, window);
+    const count = Math.max(1, range.end - range.first);
+
+    if (direction == 'previous') {
+        const first = Math.max(0, range.first - count);
+        return {
+            window: { last: count, offset: Math.max(0, dates.length - first - count) },
+            pastData: range.first - count < 0,
+        };
+    }
+
+    // Already showing the latest run
+    if (range.end >= dates.length)
+        return { window: window, pastData: false };
+    const end = Math.min(dates.length, range.end + count);
+    return { window: { last: count, offset: dates.length - end }, pastData: false };
+}
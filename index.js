@@ -12,12 +12,57 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import {getTestData} from './testData.js';
+import {getDashboardTestData, generateLargeTestData} from './testData.js';
 import {TaskInstanceTree} from './taskInstanceTree.js';
+import {DagTreeDashboard} from './dagTreeDashboard.js';
+import {buildClearRequests} from './clearTaskInstances.js';
+import {fetchDagData} from './airflowDataSource.js';
+import {mockAirflowFetch} from './airflowFixtures.js';
 
-const response = getTestData();
-console.log(response);
-response.forEach(data => {
-    const tree = new TaskInstanceTree(data.dag_id, data.nodes);
-    document.querySelector('body').appendChild(tree);
-});
+const params = new URLSearchParams(window.location.search);
+// Open index.html?large to benchmark a DAG with 2000 tasks and 365 runs drawn to a canvas
+const large = params.has('large');
+// Open index.html?airflow to draw the recorded API responses of airflowFixtures.js, or
+// index.html?airflow=http://localhost:8080/api/v1 to draw example_task_group from an Airflow webserver
+const airflow = params.get('airflow');
+
+// Show the clearTaskInstances requests that would be sent for the current selection
+function logClearRequests(event) {
+    console.log(buildClearRequests(event.detail.included));
+}
+
+if (airflow !== null) {
+    const options = airflow ? { baseUrl: airflow } : { fetch: mockAirflowFetch() };
+    fetchDagData('example_task_group', options).then(data => {
+        const tree = new TaskInstanceTree(data.dag_id, data.nodes, {
+            scheduleInterval: data.schedule_interval,
+            api: options,
+            reload: () => fetchDagData('example_task_group', options),
+        });
+        tree.addEventListener('selectionchange', logClearRequests);
+        tree.addEventListener('action', event => console.log(event.detail));
+        document.querySelector('body').appendChild(tree);
+    }).catch(error => {
+        const message = document.createElement('h2');
+        message.textContent = `Failed to load example_task_group from ${airflow || 'the recorded responses'}: ${error.message}`;
+        document.querySelector('body').appendChild(message);
+    });
+} else if (large) {
+    const response = generateLargeTestData();
+    console.log(response);
+    response.forEach(data => {
+        const tree = new TaskInstanceTree(data.dag_id, data.nodes, {
+            scheduleInterval: data.schedule_interval,
+            renderMode: 'canvas',
+        });
+        tree.addEventListener('selectionchange', logClearRequests);
+        document.querySelector('body').appendChild(tree);
+    });
+} else {
+    // All the DAGs on one time axis
+    const response = getDashboardTestData();
+    console.log(response);
+    const dashboard = new DagTreeDashboard(response);
+    dashboard.addEventListener('selectionchange', logClearRequests);
+    document.querySelector('body').appendChild(dashboard);
+}
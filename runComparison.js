@@ -0,0 +1,56 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {taskInstanceDuration} from './taskInstanceDetails.js';
+import {taskInstanceState} from './treeUtils.js';
+
+// Comparing the task instances of a task on two DAG runs, see TaskInstanceTree.compareRuns()
+
+// Durations within this fraction of the longer one count as the same, as no two runs of a task
+// take exactly as long
+export const DURATION_TOLERANCE = 0.1;
+
+// Return what differs between a and b, the task instances of a task on two runs (either can be
+// undefined if the task didn't run), as {state, duration, try_number} with [value of a, value of b]
+// for each field that differs. Returns null if nothing does. Missing values are null.
+export function compareTaskInstances(a, b, durationTolerance = DURATION_TOLERANCE) {
+    const fieldsA = comparedFields(a);
+    const fieldsB = comparedFields(b);
+    const changes = {};
+    if (fieldsA.state !== fieldsB.state)
+        changes.state = [fieldsA.state, fieldsB.state];
+    if (durationsDiffer(fieldsA.duration, fieldsB.duration, durationTolerance))
+        changes.duration = [fieldsA.duration, fieldsB.duration];
+    if (fieldsA.try_number !== fieldsB.try_number)
+        changes.try_number = [fieldsA.try_number, fieldsB.try_number];
+    return Object.keys(changes).length ? changes : null;
+}
+
+function comparedFields(taskInstance) {
+    if (!taskInstance)
+        return { state: null, duration: null, try_number: null };
+    const state = taskInstanceState(taskInstance);
+    const duration = taskInstanceDuration(taskInstance);
+    return {
+        state: state === undefined ? null : state,
+        duration: duration === undefined ? null : duration,
+        try_number: taskInstance.try_number === undefined ? null : taskInstance.try_number,
+    };
+}
+
+function durationsDiffer(a, b, tolerance) {
+    if (a === null || b === null)
+        return a !== b;
+    return Math.abs(a - b) > tolerance * Math.max(a, b);
+}
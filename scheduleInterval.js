@@ -0,0 +1,143 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import moment from 'moment';
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Length in seconds of the Airflow schedule_interval presets. @once and None have no interval.
+const PRESETS = {
+    '@hourly': HOUR,
+    '@daily': DAY,
+    '@midnight': DAY,
+    '@weekly': 7 * DAY,
+    '@monthly': 30 * DAY,
+    '@quarterly': 91 * DAY,
+    '@yearly': 365 * DAY,
+    '@annually': 365 * DAY,
+};
+
+// Axis label formats from the finest to the coarsest granularity. The first one whose
+// maxInterval is larger than the schedule interval is used.
+const LABEL_FORMATS = [
+    { maxInterval: DAY, format: 'YYYYMMDD HH:mm' },
+    { maxInterval: 28 * DAY, format: 'YYYYMMDD' },
+    { maxInterval: 365 * DAY, format: 'YYYYMM' },
+    { maxInterval: Infinity, format: 'YYYY' },
+];
+
+// Return the number of seconds between runs for one field of a cron expression, given the
+// number of seconds in one unit of that field. Returns undefined if the field is a fixed value.
+function cronFieldInterval(field, unitSeconds) {
+    if (field == '*')
+        return unitSeconds;
+
+    const step = field.match(/^\*\/(\d+)$/);
+    if (step)
+        return Number(step[1]) * unitSeconds;
+
+    return undefined;
+}
+
+// Estimate the seconds between runs of a cron expression like "0 */2 * * *". This is only used
+// to pick the axis granularity, so an approximation of irregular expressions is good enough.
+function cronIntervalSeconds(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length != 5)
+        return undefined;
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+
+    const minuteInterval = cronFieldInterval(minute, MINUTE);
+    if (minuteInterval !== undefined)
+        return minuteInterval;
+    if (minute.includes(','))
+        return HOUR / minute.split(',').length;
+
+    const hourInterval = cronFieldInterval(hour, HOUR);
+    if (hourInterval !== undefined)
+        return hourInterval;
+    if (hour.includes(','))
+        return DAY / hour.split(',').length;
+
+    if (dayOfMonth == '*' && dayOfWeek == '*')
+        return DAY;
+    if (dayOfMonth.startsWith('*/'))
+        return cronFieldInterval(dayOfMonth, DAY);
+    if (dayOfMonth == '*')
+        return dayOfWeek.match(/^\d+$/) ? 7 * DAY : DAY;
+    if (month == '*')
+        return 30 * DAY;
+    return 365 * DAY;
+}
+
+// Parse a timedelta given as a number of seconds, an ISO 8601 duration ("PT1H"), Python's
+// str(timedelta) ("1 day, 0:00:00") or the REST API form ({"__type": "TimeDelta", "days": 1, ...}).
+function timedeltaSeconds(timedelta) {
+    if (typeof timedelta === 'number')
+        return timedelta;
+
+    if (typeof timedelta === 'object')
+        return (timedelta.days || 0) * DAY + (timedelta.seconds || 0) + (timedelta.microseconds || 0) / 1e6;
+
+    const pythonTimedelta = timedelta.match(/^(?:(\d+) days?, )?(\d+):(\d\d):(\d\d)$/);
+    if (pythonTimedelta) {
+        const [, days, hours, minutes, seconds] = pythonTimedelta;
+        return Number(days || 0) * DAY + Number(hours) * HOUR + Number(minutes) * MINUTE + Number(seconds);
+    }
+
+    const duration = moment.duration(timedelta);
+    return duration.isValid() && duration.asSeconds() > 0 ? duration.asSeconds() : undefined;
+}
+
+// Return the number of seconds between two runs of a schedule_interval, which can be a preset
+// ("@daily"), a cron expression, a timedelta or the REST API's serialized form of either.
+// Returns undefined when there is no regular interval (e.g. "@once" or null).
+export function scheduleIntervalSeconds(scheduleInterval) {
+    if (scheduleInterval === null || scheduleInterval === undefined)
+        return undefined;
+
+    if (scheduleInterval.__type == 'CronExpression')
+        return scheduleIntervalSeconds(scheduleInterval.value);
+
+    if (typeof scheduleInterval === 'string') {
+        if (scheduleInterval.startsWith('@'))
+            return PRESETS[scheduleInterval];
+        if (scheduleInterval.trim().split(/\s+/).length == 5)
+            return cronIntervalSeconds(scheduleInterval);
+    }
+
+    return timedeltaSeconds(scheduleInterval);
+}
+
+// Work out the interval from the data: the smallest gap between two consecutive execution dates.
+export function inferIntervalSeconds(executionDates) {
+    const times = executionDates.map(date => date.valueOf()).sort((a, b) => a - b);
+    let smallest = Infinity;
+    for (let i = 1; i < times.length; i++) {
+        const gap = times[i] - times[i - 1];
+        if (gap > 0 && gap < smallest)
+            smallest = gap;
+    }
+    return smallest == Infinity ? undefined : smallest / 1000;
+}
+
+// Return the moment format string for the axis labels, matching the granularity of the
+// schedule_interval. Falls back to the spacing of executionDates if there is no interval.
+export function axisLabelFormat(scheduleInterval, executionDates) {
+    const interval = scheduleIntervalSeconds(scheduleInterval) || inferIntervalSeconds(executionDates) || DAY;
+    return LABEL_FORMATS.find(d => interval < d.maxInterval).format;
+}
@@ -0,0 +1,115 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// The upstream/downstream relationships between the tasks of a DAG. A node can list either side
+// (or both) in upstream_task_ids and downstream_task_ids, and the other side is filled in.
+
+// Build {upstream, downstream, problems} from a list of nodes. upstream and downstream map a task
+// id to the Set of ids of its direct upstream/downstream tasks. References to unknown tasks are
+// left out and, like cycles, described in problems instead of throwing.
+export function buildDependencies(nodes) {
+    const ids = new Set(nodes.map(node => node.id));
+    const upstream = new Map(nodes.map(node => [node.id, new Set()]));
+    const downstream = new Map(nodes.map(node => [node.id, new Set()]));
+    const problems = [];
+
+    function addEdge(from, to, referencedBy) {
+        const missing = [from, to].find(id => !ids.has(id));
+        if (missing !== undefined) {
+            problems.push(`${referencedBy} refers to unknown task ${missing}`);
+            return;
+        }
+        downstream.get(from).add(to);
+        upstream.get(to).add(from);
+    }
+
+    nodes.forEach(node => {
+        (node.upstream_task_ids || []).forEach(id => addEdge(id, node.id, node.id));
+        (node.downstream_task_ids || []).forEach(id => addEdge(node.id, id, node.id));
+    });
+
+    findCycles(downstream).forEach(cycle => problems.push(`Dependency cycle: ${cycle.join(' >> ')}`));
+
+    return { upstream, downstream, problems };
+}
+
+// Return the cycles in a map of edges, each as a list of ids starting and ending with the same id
+export function findCycles(edges) {
+    const cycles = [];
+    // Ids that are done, and the ids on the path currently being walked
+    const done = new Set();
+    const path = [];
+
+    function walk(id) {
+        path.push(id);
+        edges.get(id).forEach(next => {
+            const index = path.indexOf(next);
+            if (index != -1)
+                cycles.push(path.slice(index).concat([next]));
+            else if (!done.has(next))
+                walk(next);
+        });
+        path.pop();
+        done.add(id);
+    }
+
+    edges.forEach((targets, id) => {
+        if (!done.has(id))
+            walk(id);
+    });
+    return cycles;
+}
+
+// Return the Set of ids reachable from id through edges (the upstream or downstream map), not
+// including id itself unless it's part of a cycle
+export function reachable(id, edges) {
+    const found = new Set();
+    const pending = [id];
+    while (pending.length) {
+        const next = edges.get(pending.pop());
+        if (!next)
+            continue;
+        next.forEach(target => {
+            if (!found.has(target)) {
+                found.add(target);
+                pending.push(target);
+            }
+        });
+    }
+    return found;
+}
+
+// Return the tasks upstream and downstream of taskIds (e.g. all the tasks of a TaskGroup), directly
+// or transitively, as {upstream, downstream, edges}. edges are the [from, to, direction] edges
+// leading to them, so that the whole chain can be drawn.
+export function relatedTasks(taskIds, dependencies) {
+    const source = new Set(taskIds);
+    const related = { upstream: new Set(), downstream: new Set(), edges: [] };
+
+    ['upstream', 'downstream'].forEach(direction => {
+        const edges = dependencies[direction];
+        const found = related[direction];
+        taskIds.forEach(id => reachable(id, edges).forEach(target => {
+            if (!source.has(target))
+                found.add(target);
+        }));
+
+        [...source, ...found].forEach(id => edges.get(id).forEach(target => {
+            if (!found.has(target))
+                return;
+            related.edges.push(direction == 'upstream' ? [target, id, direction] : [id, target, direction]);
+        }));
+    });
+    return related;
+}
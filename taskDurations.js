@@ -0,0 +1,102 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import moment from 'moment';
+import {taskInstanceDuration} from './taskInstanceDetails.js';
+
+// The timings drawn by the duration and Gantt views of a TaskInstanceTree (see its cell-view
+// attribute). A timing is {start, end, duration, total}: when a task instance, or the tasks of a
+// TaskGroup, started and ended in milliseconds since the epoch, and how long they ran in seconds.
+// The duration of a TaskGroup is the length of its critical path and its total the sum of the
+// durations of its tasks. Anything that isn't known is undefined.
+
+export function taskInstanceTiming(taskInstance) {
+    const duration = taskInstanceDuration(taskInstance);
+    const start = taskInstance.start_date ? moment(taskInstance.start_date).valueOf() : undefined;
+    // A running task instance has run until now, like in taskInstanceDuration()
+    const end = start === undefined ? undefined : taskInstance.end_date ? moment(taskInstance.end_date).valueOf() : Date.now();
+    return { start, end, duration, total: duration };
+}
+
+// Combine the timings of the tasks of a TaskGroup on one DAG run. timings maps task ids to their
+// timing and upstream maps task ids to the Set of their upstream task ids (see taskDependencies.js).
+export function groupTiming(timings, upstream) {
+    const durations = new Map();
+    let start, end, total;
+    timings.forEach((timing, id) => {
+        if (timing.start !== undefined) {
+            start = start === undefined ? timing.start : Math.min(start, timing.start);
+            end = end === undefined ? timing.end : Math.max(end, timing.end);
+        }
+        if (timing.duration !== undefined) {
+            durations.set(id, timing.duration);
+            total = (total || 0) + timing.duration;
+        }
+    });
+    return { start, end, duration: durations.size ? criticalPath(durations, upstream) : undefined, total };
+}
+
+// Return the longest sum of durations along a chain of upstream edges between the tasks in durations.
+// Tasks without a duration break the chain. Without any edges this is the longest duration.
+export function criticalPath(durations, upstream) {
+    const longest = new Map();
+    // The tasks on the chain being walked, to stop at cycles
+    const walking = new Set();
+
+    function longestTo(id) {
+        if (longest.has(id))
+            return longest.get(id);
+        if (walking.has(id))
+            return 0;
+        walking.add(id);
+        let before = 0;
+        (upstream.get(id) || []).forEach(upstreamId => {
+            if (durations.has(upstreamId))
+                before = Math.max(before, longestTo(upstreamId));
+        });
+        walking.delete(id);
+        longest.set(id, before + durations.get(id));
+        return longest.get(id);
+    }
+
+    let result = 0;
+    durations.forEach((duration, id) => {
+        result = Math.max(result, longestTo(id));
+    });
+    return result;
+}
+
+// Return where the bar of a timing is drawn in its cell, as fractions of the cell {x, y, width, height},
+// or null if there's nothing to draw. In the 'duration' view the bar is as high as the duration
+// relative to longest, the longest duration of the row. In the 'gantt' view it spans the start and
+// end of the timing within run, the timing of the whole DAG run.
+export function timingBar(view, timing, longest, run) {
+    if (view == 'duration') {
+        if (!timing.duration || !longest)
+            return null;
+        const height = Math.min(1, timing.duration / longest);
+        return { x: 0, y: 1 - height, width: 1, height: height };
+    }
+
+    if (view == 'gantt') {
+        if (timing.start === undefined || !run || run.start === undefined)
+            return null;
+        const span = Math.max(1, run.end - run.start);
+        const fraction = time => Math.min(1, Math.max(0, (time - run.start) / span));
+        const x = fraction(timing.start);
+        return { x: x, y: 0, width: fraction(timing.end) - x, height: 1 };
+    }
+
+    return null;
+}
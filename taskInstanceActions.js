@@ -0,0 +1,101 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {clearTaskInstances} from './clearTaskInstances.js';
+import {updateTaskInstancesState} from './updateTaskInstancesState.js';
+
+// The actions of the context menu of a TaskInstanceTree, see TaskInstanceTree.registerAction().
+// An action is {id, label, appliesTo, handler}:
+//  appliesTo(target, tree) says whether the action is offered for a target, what was right-clicked:
+//      {type, node, executionDate, cells, taskInstances}. type is 'cell', 'node' (a row) or 'run' (a
+//      date), node is null for a run and executionDate is null for a node. Without appliesTo, the
+//      action is offered for everything.
+//  handler(taskInstances, context) does it. taskInstances are the {dag_id, task_id, execution_date}
+//      of the target, with the map_index of mapped tasks: a task instance, all the task instances of
+//      a TaskGroup on a run, all the runs of a task or TaskGroup, or all the task instances of a run.
+//      context is {tree, target}. It can return a promise.
+//  confirm(taskInstances, context), if the action has it, returns the question asked before running
+//      it, see the confirm option of TaskInstanceTree.
+
+// Whether target has any task instances
+function hasTaskInstances(target) {
+    return target.taskInstances.length > 0;
+}
+
+// Change task instances through the API of the tree (see its api option) and reload the tree. If a
+// request fails, the AirflowApiError thrown has the responses of those made before it, whose changes
+// are shown too.
+function changeState(change) {
+    return async (taskInstances, context) => {
+        const tree = context.tree;
+        try {
+            return await change(taskInstances, Object.assign({ fetch: tree.fetch, dry_run: false }, tree.api));
+        } finally {
+            await tree.reload();
+        }
+    };
+}
+
+// The question asked before changing task instances, with their number, as a right-click on a row
+// or a date targets all of its runs or tasks. question turns e.g. "3 task instances of a_dag" into it.
+function confirmChange(question) {
+    return (taskInstances, context) => {
+        const count = taskInstances.length;
+        return question(`${count} task instance${count == 1 ? '' : 's'} of ${context.tree.dagId}`);
+    };
+}
+
+// The url of the log of the task instance of a cell, from the link labelled 'Log' (see DEFAULT_LINK_TEMPLATES)
+function logLink(tree, cell) {
+    return tree.cellLinks(cell).find(link => link.label == 'Log');
+}
+
+export const BUILTIN_ACTIONS = [
+    {
+        id: 'mark-success',
+        label: 'Mark success',
+        appliesTo: hasTaskInstances,
+        confirm: confirmChange(taskInstances => `Mark ${taskInstances} as success?`),
+        handler: changeState((taskInstances, options) => updateTaskInstancesState(taskInstances, 'success', options)),
+    },
+    {
+        id: 'mark-failed',
+        label: 'Mark failed',
+        appliesTo: hasTaskInstances,
+        confirm: confirmChange(taskInstances => `Mark ${taskInstances} as failed?`),
+        handler: changeState((taskInstances, options) => updateTaskInstancesState(taskInstances, 'failed', options)),
+    },
+    {
+        id: 'clear',
+        label: 'Clear',
+        appliesTo: hasTaskInstances,
+        confirm: confirmChange(taskInstances => `Clear ${taskInstances}?`),
+        handler: changeState((taskInstances, options) => clearTaskInstances(taskInstances, options)),
+    },
+    {
+        id: 'clear-downstream',
+        label: 'Clear with downstream',
+        appliesTo: hasTaskInstances,
+        confirm: confirmChange(taskInstances => `Clear ${taskInstances} and their downstream tasks?`),
+        handler: changeState((taskInstances, options) => clearTaskInstances(taskInstances, Object.assign({ include_downstream: true }, options))),
+    },
+    {
+        id: 'view-log',
+        label: 'View log',
+        appliesTo: (target, tree) => target.type == 'cell' && target.cells.length == 1 && Boolean(logLink(tree, target.cells[0])),
+        handler: (taskInstances, context) => {
+            window.open(logLink(context.tree, context.target.cells[0]).url, '_blank');
+        },
+    },
+];
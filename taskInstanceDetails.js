@@ -0,0 +1,158 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import moment from 'moment';
+
+// Links shown in the detail panel of a task instance. {dag_id}, {task_id}, {execution_date},
+// {map_index} and {try_number} are replaced with the url-encoded values of the task instance. The defaults are
+// the pages of the Airflow webserver.
+export const DEFAULT_LINK_TEMPLATES = [
+    { label: 'Log', url: '/log?dag_id={dag_id}&task_id={task_id}&execution_date={execution_date}' },
+    { label: 'Rendered template', url: '/rendered-templates?dag_id={dag_id}&task_id={task_id}&execution_date={execution_date}' },
+    { label: 'XCom', url: '/xcom?dag_id={dag_id}&task_id={task_id}&execution_date={execution_date}' },
+];
+
+// Format a number of seconds like "1h 2m 3s"
+export function formatDuration(seconds) {
+    const duration = moment.duration(Math.round(seconds), 'seconds');
+    const parts = [];
+    if (duration.days() > 0)
+        parts.push(`${Math.floor(duration.asDays())}d`);
+    if (duration.hours() > 0)
+        parts.push(`${duration.hours()}h`);
+    if (duration.minutes() > 0)
+        parts.push(`${duration.minutes()}m`);
+    if (duration.seconds() > 0 || parts.length == 0)
+        parts.push(`${duration.seconds()}s`);
+    return parts.join(' ');
+}
+
+// Return how long a task instance ran in seconds, or undefined if it hasn't started.
+// A running task instance has run until now.
+export function taskInstanceDuration(taskInstance) {
+    if (taskInstance.duration !== undefined && taskInstance.duration !== null)
+        return taskInstance.duration;
+    if (!taskInstance.start_date)
+        return undefined;
+
+    const end = taskInstance.end_date ? moment(taskInstance.end_date) : moment();
+    return end.diff(moment(taskInstance.start_date), 'seconds', true);
+}
+
+// Count the cells of the tasks in a TaskGroup by state, e.g. {success: 3, failed: 1}
+export function countStates(taskCells) {
+    const counts = {};
+    taskCells.forEach(cell => {
+        const state = cell.state || 'no_status';
+        counts[state] = (counts[state] || 0) + 1;
+    });
+    return counts;
+}
+
+// Summarize the cell of a mapped task on an execution_date by how many of its mapped task instances
+// have its rolled-up state, e.g. "8/10 success" or "2/10 failed"
+export function mappedSummary(cell) {
+    const state = cell.state || 'no_status';
+    const count = cell.childCells.filter(child => (child.state || 'no_status') == state).length;
+    return `${count}/${cell.childCells.length} ${state}`;
+}
+
+// Return the [label, value] rows describing a cell. taskCells are the cells of the tasks in the
+// TaskGroup on the same execution_date, used to summarize the states of a TaskGroup cell. timing
+// is optional, the timing of a TaskGroup cell (see taskDurations.js). formatDate formats the dates
+// shown, e.g. in another timezone (see timezones.js). They're shown as given by default.
+export function cellDetails(cell, taskCells, timing, formatDate = date => date) {
+    const rows = [
+        cell.node.parent ? [cellType(cell), cell.taskId] : ['DAG', cell.node.data.label],
+        ['Execution date', formatDate(cell.executionDateString)],
+        ['State', cell.state || 'no_status'],
+    ];
+    if (cell.mapIndex !== undefined)
+        rows.splice(1, 0, ['Map index', cell.mapIndex]);
+
+    if (cell.node.data.mapped)
+        rows.push(['Mapped', mappedSummary(cell)]);
+    if (cell.nodeType == 'TaskGroup') {
+        const counts = countStates(taskCells);
+        Object.keys(counts).sort().forEach(state => rows.push([`Tasks ${state}`, counts[state]]));
+        if (timing && timing.duration !== undefined) {
+            rows.push(['Critical path', formatDuration(timing.duration)]);
+            rows.push(['Total duration', formatDuration(timing.total)]);
+        }
+        return rows;
+    }
+
+    const taskInstance = cell.taskInstance || {};
+    if (cell.node.data.operator)
+        rows.push(['Operator', cell.node.data.operator]);
+    if (taskInstance.try_number !== undefined)
+        rows.push(['Try number', taskInstance.try_number]);
+    if (taskInstance.start_date)
+        rows.push(['Started', formatDate(taskInstance.start_date)]);
+    if (taskInstance.end_date)
+        rows.push(['Ended', formatDate(taskInstance.end_date)]);
+    const duration = taskInstanceDuration(taskInstance);
+    if (duration !== undefined)
+        rows.push(['Duration', formatDuration(duration)]);
+    return rows;
+}
+
+// What a cell is a cell of
+function cellType(cell) {
+    if (cell.node.data.mapped)
+        return 'Mapped task';
+    return cell.nodeType == 'TaskGroup' ? 'TaskGroup' : 'Task';
+}
+
+// Count the tasks in a TaskGroup, including those in collapsed TaskGroups. A mapped task is one task.
+function countTasks(node) {
+    if (!node._children || node.data.mapped)
+        return 1;
+    return node._children.reduce((count, child) => count + countTasks(child), 0);
+}
+
+// Return the [label, value] rows describing a node of the tree
+export function nodeDetails(node) {
+    if (!node.parent)
+        return [['DAG', node.data.label]];
+
+    if (node.data.mapped) {
+        return [
+            ['Mapped task', node.id],
+            ['Map indexes', node._children.length],
+        ];
+    }
+
+    if (node._children) {
+        return [
+            ['TaskGroup', node.id],
+            ['Tasks', countTasks(node)],
+        ];
+    }
+
+    const rows = [['Task', node.data.task_id || node.id]];
+    if (node.data.map_index !== undefined)
+        rows.push(['Map index', node.data.map_index]);
+    if (node.data.operator)
+        rows.push(['Operator', node.data.operator]);
+    rows.push(['Runs', node.row.length]);
+    return rows;
+}
+
+// Replace the {placeholders} in a link template with the url-encoded values
+export function expandLinkTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        return values[name] === undefined ? match : encodeURIComponent(values[name]);
+    });
+}
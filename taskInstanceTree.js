@@ -14,123 +14,1166 @@ limitations under the License.
 
 import * as d3 from 'd3';
 import moment from 'moment';
+import {axisLabelFormat} from './scheduleInterval.js';
+import {CellCanvas} from './cellCanvas.js';
+import {DEFAULT_LINK_TEMPLATES, cellDetails, nodeDetails, expandLinkTemplate} from './taskInstanceDetails.js';
+import {nodeLabel, cellLabel, moveFocus} from './treeGrid.js';
+import {nodeMatcher, parseSearch} from './treeFilter.js';
+import {buildDependencies, relatedTasks} from './taskDependencies.js';
+import {parseStorages, captureState, applyState, readState, writeState} from './treeState.js';
+import {standaloneSVG, svgToPNG, toCSV, downloadFile} from './treeExport.js';
+import {windowRange, pageWindow} from './dateWindow.js';
+import {InvalidDagError, validateDag} from './validateDag.js';
+import {taskInstanceTiming, groupTiming, timingBar} from './taskDurations.js';
+import {dateFormatter, isValidTimezone, fillTimezoneSelect} from './timezones.js';
+import {compareTaskInstances} from './runComparison.js';
+import {BUILTIN_ACTIONS} from './taskInstanceActions.js';
+import {SEARCH_INPUT, WINDOW_CONTROLS, TIMEZONE_SELECT} from './toolbarControls.js';
+import {stratifyDag, expandMappedTasks, normalizeTaskInstance, taskInstanceMapIndex, taskInstanceState, rollupState, cellClass, timingBarClass, rectId, childrenExecutionDates, expandedHeight, eachNode, isLeafNode} from './treeUtils.js';
+
+// What the cells can show, see setCellView()
+const CELL_VIEWS = ['status', 'duration', 'gantt'];
 
 const template = document.createElement('template')
 template.innerHTML = `
 <style>
+/* The theme. Every color, the font and the sizes can be overridden by the page, e.g.
+   task-instance-tree { --tree-state-failed: crimson; --tree-node-size: 12px; }
+   The sizes are in pixels: --tree-node-size is the size of a cell, --tree-v-spread the distance between
+   rows and runs (1.3 times the node size by default) and --tree-h-spread the distance between the levels
+   of the tree (worked out from the longest label by default). */
+:host {
+    --tree-font: 1em monospace;
+    --tree-node-size: 16px;
+    --tree-background: transparent;
+    --tree-panel-background: white;
+    --tree-text-color: black;
+    --tree-border-color: lightgrey;
+    --tree-link-color: grey;
+    --tree-group-color: cornflowerblue;
+    --tree-task-color: green;
+    --tree-unchecked-color: white;
+    --tree-focus-color: black;
+    --tree-match-color: darkblue;
+    --tree-upstream-color: royalblue;
+    --tree-downstream-color: darkorange;
+    --tree-diff-color: darkmagenta;
+    --tree-state-success: green;
+    --tree-state-failed: red;
+    --tree-state-upstream_failed: orange;
+    --tree-state-running: lime;
+    --tree-state-queued: grey;
+    --tree-state-skipped: pink;
+    --tree-state-up_for_retry: gold;
+    --tree-state-no_status: whitesmoke;
+    --tree-state-no_status-border: lightgrey;
+
+    display: block;
+    background: var(--tree-background);
+    color: var(--tree-text-color);
+}
+
+@media (prefers-color-scheme: dark) {
+    :host {
+        --tree-background: #1e1e1e;
+        --tree-panel-background: #2b2b2b;
+        --tree-text-color: #e0e0e0;
+        --tree-border-color: #555;
+        --tree-link-color: #888;
+        --tree-group-color: #6f8fd8;
+        --tree-task-color: #3fa34d;
+        --tree-unchecked-color: #1e1e1e;
+        --tree-focus-color: white;
+        --tree-match-color: #9ecbff;
+        --tree-diff-color: #e39bff;
+        --tree-upstream-color: #7aa2ff;
+        --tree-downstream-color: #ffa94d;
+        --tree-state-success: #3fa34d;
+        --tree-state-failed: #e5534b;
+        --tree-state-upstream_failed: #e8912d;
+        --tree-state-running: #7ee787;
+        --tree-state-queued: #8b949e;
+        --tree-state-skipped: #d88ab0;
+        --tree-state-up_for_retry: #d4b93c;
+        --tree-state-no_status: #333;
+        --tree-state-no_status-border: #555;
+    }
+}
+
 .group {
-    fill: cornflowerblue;
+    fill: var(--tree-group-color);
 }
 
 .task {
-    fill: green;
+    fill: var(--tree-task-color);
 }
 
 .links {
     fill: none;
-    stroke: grey;
+    stroke: var(--tree-link-color);
     stroke-width: 0.5;
 }
 
 .label {
-    color: black;
-    fill: black;
-    font: 1em monospace;
+    color: var(--tree-text-color);
+    fill: var(--tree-text-color);
+    font: var(--tree-font);
 }
 
 .axis-label {
-    font: 1em monospace;
+    fill: var(--tree-text-color);
+    font: var(--tree-font);
 }
 
 .task-group-rect {
-    fill: cornflowerblue;
-    stroke: cornflowerblue;
+    fill: var(--tree-group-color);
+    stroke: var(--tree-group-color);
 }
 
 .task-instance-rect {
-    fill: green;
-    stroke: green;
+    fill: var(--tree-task-color);
+    stroke: var(--tree-task-color);
+}
+
+/* State colors must appear after task-group-rect and task-instance-rect */
+.state-success {
+    fill: var(--tree-state-success);
+    stroke: var(--tree-state-success);
+}
+
+.state-failed {
+    fill: var(--tree-state-failed);
+    stroke: var(--tree-state-failed);
+}
+
+.state-upstream_failed {
+    fill: var(--tree-state-upstream_failed);
+    stroke: var(--tree-state-upstream_failed);
+}
+
+.state-running {
+    fill: var(--tree-state-running);
+    stroke: var(--tree-state-running);
+}
+
+.state-queued {
+    fill: var(--tree-state-queued);
+    stroke: var(--tree-state-queued);
+}
+
+.state-skipped {
+    fill: var(--tree-state-skipped);
+    stroke: var(--tree-state-skipped);
+}
+
+.state-up_for_retry {
+    fill: var(--tree-state-up_for_retry);
+    stroke: var(--tree-state-up_for_retry);
+}
+
+.state-no_status {
+    fill: var(--tree-state-no_status);
+    stroke: var(--tree-state-no_status-border);
+}
+
+/* In render-mode="canvas" the cells are drawn to a canvas on top of the svg, which only covers the visible area */
+.tree-container.canvas-mode {
+    position: relative;
+    overflow: auto;
+    max-height: 100vh;
+}
+
+.cell-canvas {
+    position: absolute;
 }
 
-/* rect-unchecked must appear after task-group-rect and task-instance-rect */
+/* rect-unchecked must appear after task-group-rect, task-instance-rect and the state colors */
 .rect-unchecked {
-    fill: white;
+    fill: var(--tree-unchecked-color);
 }
 
-</style>
-<h2 id='message'></h2>
-<div class='tree-container'>
-</div>
-`
+/* A TaskGroup cell of which only some task instances are checked */
+.rect-indeterminate {
+    fill-opacity: 0.4;
+}
 
-// Create a hierachical root from a flat list structure of tasks
-function stratifyDag(dagId, tasks) {
-    const stratifyTasks = d3.stratify().id(d => d.id).parentId(parent = d => d.group_id);
+/* In the duration and Gantt views the cells are the background of the bars showing when they ran */
+svg.timing-view .task-instance-rect, svg.timing-view .task-group-rect {
+    fill-opacity: 0.2;
+}
 
-    const dummyRoot = {
-        id: '[DAG]',
-        label: dagId,
-        group_id: null,
-    };
+.timing-bar {
+    stroke: none;
+    pointer-events: none;
+}
 
-    const nodesList = tasks.map(t => {
-        const taskCopy = Object.assign({}, t);
-        if (taskCopy.group_id === null)
-            taskCopy.group_id = dummyRoot.id;
-        return taskCopy;
-    })
-    nodesList.push(dummyRoot);
-    return stratifyTasks(nodesList);
+/* Clicking a date toggles the whole DAG run */
+.axis-label, .label {
+    cursor: pointer;
 }
 
-// Simple helper for constructing translate() string
-function translate(x, y) {
-    return `translate(${x}, ${y})`;
+/* The actions of the right-clicked cell, row or date, see registerAction() */
+.context-menu {
+    position: fixed;
+    margin: 0;
+    padding: 0.2em 0;
+    list-style: none;
+    background: var(--tree-panel-background);
+    border: 1px solid var(--tree-border-color);
+    font: var(--tree-font);
+    font-size: 0.9em;
+    z-index: 3;
+}
+
+.context-menu li {
+    padding: 0.2em 1em;
+    cursor: pointer;
+}
+
+.context-menu li:hover, .context-menu li:focus {
+    outline: none;
+    color: var(--tree-panel-background);
+    background: var(--tree-match-color);
+}
+
+.tooltip {
+    position: fixed;
+    pointer-events: none;
+    background: var(--tree-panel-background);
+    border: 1px solid var(--tree-border-color);
+    padding: 0.3em;
+    font: var(--tree-font);
+    font-size: 0.8em;
+    z-index: 2;
+}
+
+.detail-panel {
+    position: fixed;
+    top: 0;
+    right: 0;
+    width: 24em;
+    height: 100%;
+    overflow: auto;
+    background: var(--tree-panel-background);
+    border-left: 1px solid var(--tree-border-color);
+    padding: 0.5em;
+    font: var(--tree-font);
+    font-size: 0.9em;
+    z-index: 1;
+}
+
+.detail-panel .close {
+    float: right;
 }
 
-// Create identifier for a rect checkbox
-function rectId(taskId, executionDate) {
-    return JSON.stringify([taskId, executionDate]);
+.detail-panel a {
+    color: var(--tree-match-color);
 }
 
-// Given a node, return the unique execution_date of itself and its children
-function childrenExecutionDates(node) {
-    const uniqueDates = new Set();
+.details th {
+    text-align: left;
+    padding-right: 1em;
+}
 
-    node.each(child => {
-        if (child.data.task_instances)
-            child.data.task_instances.forEach(date => uniqueDates.add(date));
-    });
+[hidden] {
+    display: none;
+}
 
-    return uniqueDates;
+.toolbar {
+    font: var(--tree-font);
+    font-size: 0.9em;
+    margin-bottom: 0.5em;
 }
 
-// Find the height of the tree that is currently expanded
-function expandedHeight(node) {
-    if (!node.children)
-        return 0;
+/* Nodes that don't match the filter */
+.dimmed {
+    opacity: 0.3;
+}
 
-    return 1 + Math.max(...node.children.map(child => expandedHeight(child)));
+.match .label {
+    font-weight: bold;
+    fill: var(--tree-match-color);
 }
 
-// Returns if node is a leaf node (except a collapsed root node)
-function isLeafNode(node) {
-    return (!node.children && node.parent != null);
+/* The rows that differ between the runs compared and the dates picked to compare, see compareRuns() */
+.differs .label, .axis-label.compare-pick {
+    font-weight: bold;
+    fill: var(--tree-diff-color);
+}
+
+/* The element with the keyboard focus */
+rect.focused, .task-node.focused circle {
+    stroke: var(--tree-focus-color);
+    stroke-width: 2;
+}
+
+/* The dependencies of the hovered or focused node */
+.dependency-links {
+    fill: none;
+    stroke-width: 1.5;
+    pointer-events: none;
+}
+
+.dependency-links .upstream {
+    stroke: var(--tree-upstream-color);
+}
+
+.dependency-links .downstream {
+    stroke: var(--tree-downstream-color);
+}
+
+.task-node.upstream .label {
+    font-weight: bold;
+    fill: var(--tree-upstream-color);
+}
+
+.task-node.downstream .label {
+    font-weight: bold;
+    fill: var(--tree-downstream-color);
+}
+
+.dependency-faded {
+    opacity: 0.3;
+}
+
+/* Why the data can't be drawn, see showProblems() */
+.problems {
+    font: var(--tree-font);
+    color: var(--tree-state-failed);
+}
+
+/* Only read by screen readers */
+.sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+}
+</style>
+<h2 id='message'></h2>
+<ul class='problems' part='problems' hidden></ul>
+<div class='toolbar' part='toolbar'>
+${SEARCH_INPUT}
+    <label><input type='checkbox' class='search-hide'> Hide others</label>
+    <select class='export-format' aria-label='Export format'>
+        <option value='svg'>SVG</option>
+        <option value='png'>PNG</option>
+        <option value='csv'>CSV</option>
+        <option value='json'>JSON</option>
+    </select>
+    <button class='export'>Export</button>
+${WINDOW_CONTROLS}
+    <select class='cell-view' aria-label='Cells show'>
+        <option value='status'>Status</option>
+        <option value='duration'>Duration</option>
+        <option value='gantt'>Gantt</option>
+    </select>
+${TIMEZONE_SELECT}
+    <button class='end-comparison' hidden>End comparison</button>
+    <button class='expand-all'>Expand all</button>
+    <button class='collapse-all'>Collapse all</button>
+    <select class='expand-level' aria-label='Expand to level'>
+        <option value=''>Expand to&hellip;</option>
+    </select>
+</div>
+<div class='tree-container'>
+</div>
+<div class='sr-only' aria-live='polite'></div>
+<ul class='context-menu' part='context-menu' role='menu' hidden></ul>
+<div class='tooltip' part='tooltip' hidden>
+    <table class='details'></table>
+</div>
+<aside class='detail-panel' part='detail-panel' hidden>
+    <button class='close' title='Close'>&times;</button>
+    <table class='details'></table>
+    <ul class='links'></ul>
+</aside>
+`
+
+// Fill a table with [label, value] rows
+function renderDetails(table, rows) {
+    d3.select(table)
+        .selectAll('tr')
+        .data(rows)
+        .join(enter => {
+            const tr = enter.append('tr');
+            tr.append('th');
+            tr.append('td');
+            return tr;
+        })
+        .call(tr => tr.select('th').text(d => d[0]))
+        .call(tr => tr.select('td').text(d => d[1]));
+}
+
+// Simple helper for constructing translate() string
+function translate(x, y) {
+    return `translate(${x}, ${y})`;
 }
 
 export class TaskInstanceTree extends HTMLElement {
-    constructor(dagId, nodes) {
+    static get observedAttributes() {
+        return ['dag-id', 'src', 'expand-depth', 'message', 'refresh-interval', 'render-mode', 'detail-panel', 'persist', 'validation', 'cell-view', 'timezone'];
+    }
+
+    // The element can be created in markup, e.g. <task-instance-tree dag-id="..." src="data.json">,
+    // or with new TaskInstanceTree(dagId, nodes, options).
+    // options.scheduleInterval is the schedule_interval of the DAG (a preset, cron expression or
+    // timedelta). It's used for the granularity of the axis labels and is inferred if not given.
+    // options.renderMode is 'svg' (the default) or 'canvas', see the render-mode attribute.
+    // options.detailPanel and options.linkTemplates configure the detail panel, see below.
+    // options.persist is where to save the expanded TaskGroups and unchecked cells, see the persist attribute.
+    // options.validation is 'lenient' (the default) or 'strict', see the validation attribute.
+    // options.cellView is 'status' (the default), 'duration' or 'gantt', see the cell-view attribute.
+    // options.timezone is the timezone the dates are shown in, 'UTC' by default, see the timezone attribute.
+    // options.transitionDuration is how long changes are animated for in milliseconds, 250 by default.
+    // options.actions are added to the context menu, see registerAction(), and options.api is
+    // {baseUrl, headers, fetch} of the Airflow API used by the built-in actions.
+    // options.reload(tree) resolves to the data again, for reload() when there's no src.
+    // options.confirm(message) resolves to whether to go on with an action, window.confirm() by default.
+    constructor(dagId, nodes, options = {}) {
         super();
         this.attachShadow({ mode: 'open' });
         this.shadowRoot.appendChild(template.content.cloneNode(true));
-        this.shadowRoot.querySelector('#message').innerText = this.getAttribute('message');
         this.cellStateMap = new Map();
+        this.root = null;
         this.dagId = dagId;
-        this.root = stratifyDag(dagId, nodes);
+        this.scheduleInterval = options.scheduleInterval;
+        // 'svg' draws a <rect> per cell. 'canvas' only draws the visible cells to a canvas, which is
+        // much faster for DAGs with thousands of tasks or hundreds of runs.
+        this.renderMode = options.renderMode || 'svg';
+        this.cellCanvas = null;
+        // Whether clicking a cell or node also shows its details in a side panel
+        this.detailPanel = Boolean(options.detailPanel);
+        // The links shown in the detail panel of a task instance, see DEFAULT_LINK_TEMPLATES
+        this.linkTemplates = options.linkTemplates || DEFAULT_LINK_TEMPLATES;
+        // Where the state of the tree is saved and restored from, 'local' and/or 'hash', see treeState.js.
+        // Nothing is saved by default.
+        this.persist = parseStorages(options.persist);
+        // What to do with bad data, see validateDag.js. 'lenient' repairs what it can and draws the tree.
+        // 'strict' shows the problems instead of the tree. Either way they're in this.problems.
+        this.validation = options.validation || 'lenient';
+        // The problems found in the data by validateDag() and buildDependencies()
+        this.problems = [];
+        // What the cells show: 'status' only colors them by state, 'duration' draws a bar chart of
+        // the durations of each row and 'gantt' when the task instances ran within their DAG run
+        this.cellView = CELL_VIEWS.includes(options.cellView) ? options.cellView : 'status';
+        this.shadowRoot.querySelector('.cell-view').value = this.cellView;
+        // The timezone the dates are shown in, see timezones.js, and the function formatting them in it
+        this.timezone = 'UTC';
+        this.formatDate = dateFormatter(this.timezone);
+        this.setTimezone(options.timezone || 'UTC');
+        // TaskGroups shallower than this are expanded when the tree is first drawn
+        this.expandDepth = 1;
+        // Milliseconds that expanding, collapsing and zooming are animated for. 0 draws the changes at once.
+        this.transitionDuration = options.transitionDuration === undefined ? 250 : options.transitionDuration;
+        // Seconds between reloading src. The tree isn't refreshed if this is 0.
+        this.refreshInterval = 0;
+        this.refreshTimer = null;
+        // Used to load src. Can be replaced, e.g. to add auth headers or in tests.
+        this.fetch = (...args) => fetch(...args);
+        this.nodes = nodes;
+        // The keyboard focus in the tree grid, see treeGrid.js
+        this.focus = null;
+        // The criteria given to filter() and the ids of the nodes it matched, dimmed and hid
+        this.filterCriteria = null;
+        this.matchedNodes = new Set();
+        this.dimmedNodes = new Set();
+        this.hiddenNodes = new Set();
+        // The upstream/downstream relationships of the tasks, see taskDependencies.js, and the
+        // unknown task ids and cycles found in them
+        this.dependencies = null;
+        this.dependencyProblems = [];
+        // The runs being compared, see compareRuns(), and the dates ctrl-clicked to pick them
+        this.comparison = null;
+        this.comparePicks = [];
+        // The actions of the context menu, see taskInstanceActions.js, and the Airflow API they use
+        this.actions = BUILTIN_ACTIONS.slice();
+        (options.actions || []).forEach(action => this.registerAction(action));
+        this.api = options.api || {};
+        this.reloadData = options.reload || null;
+        // Asked before the actions that change task instances, see runAction()
+        this.confirm = options.confirm || (message => window.confirm(message));
+        // The node given to highlightDependencies(), and the ids of the visible nodes it highlights
+        this.dependencyNodeId = null;
+        this.upstreamNodes = new Set();
+        this.downstreamNodes = new Set();
+        // The last cell clicked without shift, {nodeId, column, checked}, where shift-click ranges start
+        this.selectionAnchor = null;
+        // The dark theme follows prefers-color-scheme. The canvas has to be redrawn when it changes.
+        this.colorScheme = window.matchMedia('(prefers-color-scheme: dark)');
+        this.onColorSchemeChange = () => this.refreshStyles();
+        // The runs that are drawn, see dateWindow.js. All of them by default.
+        this.dateWindow = null;
+        // The d3-zoom transform of the runs. Only its horizontal scale and translation are used.
+        this.zoomTransform = d3.zoomIdentity;
+        // Used by <dag-tree-dashboard> to line up the runs of several trees: execution_dates (strings
+        // or moments) that get a column even without task instances, the smallest width of the tree
+        // part, and whether the dates are drawn above the runs.
+        this.axisDates = [];
+        this.minTreeWidth = 0;
+        this.showAxis = true;
+
+        this.shadowRoot.querySelector('.detail-panel .close').addEventListener('click', () => this.hideDetails());
+
+        const search = this.shadowRoot.querySelector('.search');
+        const searchHide = this.shadowRoot.querySelector('.search-hide');
+        const onSearch = () => {
+            const criteria = parseSearch(search.value);
+            if (criteria && searchHide.checked)
+                Object.assign(criteria, { mode: 'hide', prune: true });
+            this.filter(criteria);
+        };
+        search.addEventListener('input', onSearch);
+        searchHide.addEventListener('change', onSearch);
+
+        const windowSize = this.shadowRoot.querySelector('.window-size');
+        windowSize.addEventListener('change', () => this.setDateWindow(windowSize.value ? { last: Number(windowSize.value) } : null));
+        this.shadowRoot.querySelector('.previous-page').addEventListener('click', () => this.previousPage());
+        this.shadowRoot.querySelector('.next-page').addEventListener('click', () => this.nextPage());
+
+        const cellView = this.shadowRoot.querySelector('.cell-view');
+        cellView.addEventListener('change', () => this.setCellView(cellView.value));
+
+        const timezone = this.shadowRoot.querySelector('.timezone');
+        timezone.addEventListener('change', () => this.setTimezone(timezone.value));
+
+        this.shadowRoot.querySelector('.end-comparison').addEventListener('click', () => this.endComparison());
+
+        // The context menu closes when it loses the focus, e.g. when clicking elsewhere
+        const contextMenu = this.shadowRoot.querySelector('.context-menu');
+        contextMenu.addEventListener('focusout', event => {
+            if (!contextMenu.contains(event.relatedTarget))
+                this.hideContextMenu();
+        });
+        contextMenu.addEventListener('keydown', event => this.onContextMenuKey(event));
+
+        this.shadowRoot.querySelector('.expand-all').addEventListener('click', () => this.expandAll());
+        this.shadowRoot.querySelector('.collapse-all').addEventListener('click', () => this.collapseAll());
+        const expandLevel = this.shadowRoot.querySelector('.expand-level');
+        expandLevel.addEventListener('change', () => {
+            if (expandLevel.value)
+                this.expandToDepth(Number(expandLevel.value));
+            expandLevel.value = '';
+        });
+
+        this.shadowRoot.querySelector('.export').addEventListener('click', () => {
+            this.download(this.shadowRoot.querySelector('.export-format').value).catch(error => {
+                this.shadowRoot.querySelector('#message').innerText = `Failed to export ${this.dagId}: ${error.message}`;
+            });
+        });
+    }
+
+    // The DAG to draw. Either a list of nodes, or {dag_id, nodes, schedule_interval} like the
+    // entries returned by getTestData().
+    get data() {
+        return { dag_id: this.dagId, nodes: this.nodes, schedule_interval: this.scheduleInterval };
+    }
+
+    set data(data) {
+        this.setData(data);
+    }
+
+    // Replace the data while keeping what the user did: expanded TaskGroups and unchecked cells are
+    // carried over by id and the changes are animated. A different dag_id is drawn from scratch. Data
+    // that isn't a list of nodes or a DAG with a list of nodes is reported in place of the tree.
+    setData(data) {
+        const previousDagId = this.dagId;
+        if (!data || typeof data != 'object') {
+            this.nodes = null;
+            this.showProblems(new InvalidDagError(this.dagId, ['The data is not a list of nodes or a DAG']));
+            return;
+        }
+        if (Array.isArray(data)) {
+            this.nodes = data;
+        } else {
+            if (data.dag_id !== undefined)
+                this.dagId = data.dag_id;
+            if (data.schedule_interval !== undefined)
+                this.scheduleInterval = data.schedule_interval;
+            this.nodes = data.nodes;
+            if (!Array.isArray(this.nodes)) {
+                this.showProblems(new InvalidDagError(this.dagId, ['The nodes are not a list']));
+                return;
+            }
+        }
+
+        if (!this.root || !this.updateTree || this.dagId != previousDagId) {
+            this.render();
+            return;
+        }
+
+        const previousNodes = this.nodeMap;
+        const previousCells = this.cellStateMap;
+        try {
+            this.buildHierarchy();
+        } catch (error) {
+            this.showProblems(error);
+            return;
+        }
+
+        this.nodeMap.forEach((node, id) => {
+            const previous = previousNodes.get(id);
+            if (previous) {
+                node.x0 = previous.x0;
+                node.y0 = previous.y0;
+            }
+            const expanded = previous && previous._children ? previous.children != null : node.depth < this.expandDepth;
+            if (node._children && !expanded)
+                node.children = null;
+        });
+
+        this.cellStateMap.forEach((cell, id) => {
+            const previous = previousCells.get(id);
+            if (previous)
+                cell.checked = previous.checked;
+        });
+        this.refreshGroupCells();
+
+        this.applyFilter(false);
+        this.fillExpandLevels();
+        this.updateTree(this.root);
+        this.showProblems(null);
+    }
+
+    // Highlight the nodes matching criteria (see treeFilter.js) and expand the TaskGroups containing
+    // them. The other nodes are dimmed or hidden. Which task instances are checked doesn't change.
+    // Call with null to clear the filter.
+    filter(criteria) {
+        this.filterCriteria = criteria || null;
+        if (!this.root)
+            return;
+        this.applyFilter(true);
+        if (this.updateTree)
+            this.updateTree(this.root);
+    }
+
+    // The children of node that aren't hidden by the filter, or null if there are none
+    visibleChildren(node) {
+        if (!node._children)
+            return null;
+        const children = node._children.filter(child => !this.hiddenNodes.has(child.id));
+        return children.length ? children : null;
+    }
+
+    // Work out the nodes matched, dimmed and hidden by filterCriteria and leave the hidden nodes out
+    // of the children of expanded TaskGroups. With expandMatches, TaskGroups containing a match are expanded.
+    applyFilter(expandMatches) {
+        const criteria = this.filterCriteria;
+        this.matchedNodes = new Set();
+        this.dimmedNodes = new Set();
+        this.hiddenNodes = new Set();
+        const containsMatch = new Set();
+
+        if (criteria) {
+            const matches = nodeMatcher(criteria);
+            // The matches and everything in a matching TaskGroup
+            const matchedSubtrees = new Set();
+            this.nodeMap.forEach(node => {
+                if (!node.parent || !matches(node))
+                    return;
+                this.matchedNodes.add(node.id);
+                eachNode(node, d => matchedSubtrees.add(d.id));
+                for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent)
+                    containsMatch.add(ancestor.id);
+            });
+
+            this.nodeMap.forEach(node => {
+                if (matchedSubtrees.has(node.id) || containsMatch.has(node.id) || !node.parent)
+                    return;
+                if (criteria.mode == 'hide' && (!node._children || criteria.prune))
+                    this.hiddenNodes.add(node.id);
+                else
+                    this.dimmedNodes.add(node.id);
+            });
+        }
+
+        // When comparing runs, only the tasks that differ and their TaskGroups are shown
+        if (this.comparison) {
+            this.nodeMap.forEach(node => {
+                if (!node.parent)
+                    return;
+                if (node.differs)
+                    containsMatch.add(node.id);
+                else
+                    this.hiddenNodes.add(node.id);
+            });
+        }
+
+        this.nodeMap.forEach(node => {
+            if (node._children && (node.children || (expandMatches && containsMatch.has(node.id))))
+                node.children = this.visibleChildren(node);
+        });
+    }
+
+    // Highlight the upstream and downstream tasks of a node like hovering over it does, until the
+    // mouse moves over another node. Call with null to go back to the node with the keyboard focus.
+    highlightDependencies(nodeId) {
+        this.dependencyNodeId = nodeId;
+        if (this.updateDependencies)
+            this.updateDependencies();
+    }
+
+    // Only draw the runs in a window: {start, end} with execution_dates (either can be left out),
+    // {last: n} for the latest n runs, or null for all runs. Also resets the zoom.
+    setDateWindow(window) {
+        this.dateWindow = window ? Object.assign({}, window) : null;
+        this.shadowRoot.querySelector('.window-size').value = window && window.last ? String(window.last) : '';
+        if (!this.updateTree)
+            return;
+        this.updateTree(this.root);
+        this.resetZoom();
+    }
+
+    // Switch the cells between the 'status', 'duration' and 'gantt' views. The expanded TaskGroups
+    // and the checked cells stay as they are. Unknown views show the status.
+    setCellView(view) {
+        this.cellView = CELL_VIEWS.includes(view) ? view : 'status';
+        this.shadowRoot.querySelector('.cell-view').value = this.cellView;
+        // The colors of the canvas depend on the view
+        this.refreshStyles();
+    }
+
+    // Show the dates in another timezone: 'UTC', 'local' or an IANA zone like 'Europe/Paris'. Unknown
+    // zones show UTC instead. The runs and the task instances returned don't change.
+    setTimezone(zone) {
+        if (!isValidTimezone(zone))
+            zone = 'UTC';
+        fillTimezoneSelect(this.shadowRoot.querySelector('.timezone'), zone);
+        if (zone == this.timezone)
+            return;
+        this.timezone = zone;
+        this.formatDate = dateFormatter(zone);
+        this.hideTooltip();
+        if (this.updateTree)
+            this.updateTree(this.root);
+    }
+
+    // Show the previous page of older runs, as many as the window shows. Paging past the oldest
+    // loaded run dispatches a 'pagepastdata' event, e.g. to fetch older runs and add them with appendRuns().
+    previousPage() {
+        this.movePage('previous');
+    }
+
+    // Show the next page of newer runs
+    nextPage() {
+        this.movePage('next');
+    }
+
+    // Zoom the runs to a scale k and pan them by x pixels, like zooming with the mouse does
+    setZoom(k, x) {
+        if (this.zoomRuns)
+            this.zoomRuns(d3.zoomIdentity.translate(x, 0).scale(k));
+    }
+
+    // Expand or collapse a TaskGroup. Collapsing the DAG itself leaves a single summary row.
+    setExpanded(nodeId, expanded) {
+        const node = this.nodeMap && this.nodeMap.get(nodeId);
+        if (node)
+            this.expandWhere([node], () => expanded, node);
+    }
+
+    // Expand or collapse a TaskGroup and all the TaskGroups in it, like alt-clicking its circle
+    setSubtreeExpanded(nodeId, expanded) {
+        const node = this.nodeMap && this.nodeMap.get(nodeId);
+        if (!node)
+            return;
+        const nodes = [];
+        eachNode(node, d => nodes.push(d));
+        this.expandWhere(nodes, () => expanded, node);
+    }
+
+    // Expand every TaskGroup
+    expandAll() {
+        this.expandToDepth(Infinity);
+    }
+
+    // Collapse every TaskGroup, leaving the top level of the DAG
+    collapseAll() {
+        this.expandToDepth(1);
+    }
+
+    // Expand the TaskGroups shallower than depth and collapse the others, like the expand-depth
+    // attribute does when the tree is first drawn. 0 collapses the DAG to its summary row.
+    expandToDepth(depth) {
+        if (this.root)
+            this.expandWhere(Array.from(this.nodeMap.values()), node => node.depth < depth, this.root);
+    }
+
+    // Expand the TaskGroups containing a task or TaskGroup so that it's drawn. Returns false if
+    // there's no such node.
+    expandPath(taskId) {
+        const node = this.nodeMap && this.nodeMap.get(taskId);
+        if (!node)
+            return false;
+        this.expandWhere(node.ancestors().slice(1), () => true, this.root);
+        return true;
+    }
+
+    // Compare the DAG runs on two execution_dates (strings or moments): only the tasks that differ
+    // between them are shown, with their TaskGroups marked, and only those two runs are drawn, until
+    // endComparison(). Durations within options.durationTolerance (a fraction, see runComparison.js)
+    // count as the same. Returns the differences as {dag_id, execution_dates, tasks, task_groups}:
+    // tasks are {task_id, changes}, with the map_index of mapped tasks, where changes has [value on
+    // dateA, value on dateB] for each of state, duration and try_number that differ. task_groups are
+    // the ids of the TaskGroups containing them. Returns null if either date isn't a run of the tree.
+    compareRuns(dateA, dateB, options = {}) {
+        if (!this.root)
+            return null;
+        const comparison = this.diffRuns([dateA, dateB], options.durationTolerance);
+        if (!comparison)
+            return null;
+
+        this.comparison = comparison;
+        this.comparePicks = [];
+        this.applyFilter(true);
+        if (this.updateTree) {
+            this.updateTree(this.root);
+            this.resetZoom();
+        }
+        return comparison.diff;
+    }
+
+    // Show all the tasks and runs again after compareRuns()
+    endComparison() {
+        if (!this.comparison)
+            return;
+        this.comparison = null;
+        this.comparePicks = [];
+        this.nodeMap.forEach(node => {
+            node.differs = false;
+        });
+        this.applyFilter(false);
+        if (this.updateTree) {
+            this.updateTree(this.root);
+            this.resetZoom();
+        }
+    }
+
+    // Pick a run to compare, like ctrl-clicking its date does. The second run picked is compared
+    // with the first.
+    pickRun(date) {
+        const executionDate = moment.isMoment(date) ? date : moment.parseZone(date);
+        this.comparePicks = this.comparePicks.filter(pick => pick.valueOf() != executionDate.valueOf()).concat([executionDate]);
+        if (this.comparePicks.length == 2) {
+            this.compareRuns(...this.comparePicks);
+            return;
+        }
+        d3.select(this.shadowRoot).selectAll('text.axis-label')
+            .classed('compare-pick', d => this.isComparePick(d.executionDate));
+    }
+
+    // Whether the run on date is picked to be compared, or is being compared
+    isComparePick(date) {
+        const dates = this.comparison ? this.comparison.executionDates : this.comparePicks;
+        return dates.some(pick => pick.valueOf() == date.valueOf());
+    }
+
+    // Work out the differences between the runs on two dates and mark the nodes that differ, or
+    // return null if either date isn't a run. Returns {executionDates, durationTolerance, diff}
+    // (see compareRuns()).
+    diffRuns(dates, durationTolerance) {
+        const runs = new Map(this.root.row.map(cell => [cell.executionDate.valueOf(), cell.executionDate]));
+        const executionDates = [];
+        for (const date of dates) {
+            const time = (moment.isMoment(date) ? date : moment.parseZone(date)).valueOf();
+            if (!runs.has(time))
+                return null;
+            executionDates.push(runs.get(time));
+        }
+
+        const diff = {
+            dag_id: this.dagId,
+            execution_dates: executionDates.map(date => date.toJSON()),
+            tasks: [],
+            task_groups: [],
+        };
+        this.nodeMap.forEach(node => {
+            node.differs = false;
+        });
+        eachNode(this.root, node => {
+            if (node._children)
+                return;
+            const [a, b] = executionDates.map(date => this.cellStateMap.get(rectId(node.id, date.toJSON())));
+            const changes = compareTaskInstances(a && a.taskInstance, b && b.taskInstance, durationTolerance);
+            if (!changes)
+                return;
+            const task = { task_id: node.data.task_id || node.id, changes: changes };
+            if (node.data.map_index !== undefined)
+                task.map_index = node.data.map_index;
+            diff.tasks.push(task);
+            node.ancestors().forEach(ancestor => {
+                if (!ancestor.parent || ancestor.differs)
+                    return;
+                ancestor.differs = true;
+                if (ancestor._children && !ancestor.data.mapped)
+                    diff.task_groups.push(ancestor.id);
+            });
+        });
+
+        return { executionDates, durationTolerance, diff };
+    }
+
+    // Offer the levels of TaskGroups of the DAG in the toolbar, where level n expands the TaskGroups
+    // n levels deep and the ones above them
+    fillExpandLevels() {
+        const groupDepth = Math.max(0, ...Array.from(this.nodeMap.values()).filter(d => d._children).map(d => d.depth));
+        d3.select(this.shadowRoot.querySelector('.expand-level'))
+            .selectAll('option.level')
+            .data(d3.range(1, groupDepth + 1))
+            .join(enter => enter.append('option').attr('class', 'level'))
+            .attr('value', level => level + 1)
+            .text(level => `Level ${level}`);
+    }
+
+    // Expand the TaskGroups among nodes for which expanded(node) is true and collapse the others,
+    // then redraw from source with the usual transition. A 'toggle' event is dispatched for each
+    // TaskGroup that changed.
+    expandWhere(nodes, expanded, source) {
+        const changed = nodes.filter(node => {
+            if (!node._children)
+                return false;
+            const children = expanded(node) ? this.visibleChildren(node) : null;
+            if (Boolean(children) == Boolean(node.children))
+                return false;
+            node.children = children;
+            return true;
+        });
+        if (!changed.length)
+            return;
+
+        if (this.updateTree)
+            this.updateTree(source);
+        changed.forEach(node => this.dispatchEvent(new CustomEvent('toggle', {
+            bubbles: true,
+            composed: true,
+            detail: { dag_id: this.dagId, id: node.id, expanded: Boolean(node.children) },
+        })));
+    }
+
+    movePage(direction) {
+        if (!this.layout)
+            return;
+        const dates = this.layout.allExecutionDates;
+        const page = pageWindow(dates, this.dateWindow, direction);
+        this.setDateWindow(page.window);
+        if (page.pastData) {
+            this.dispatchEvent(new CustomEvent('pagepastdata', {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    dag_id: this.dagId,
+                    // The oldest loaded run, or undefined if there are none
+                    before: dates.length ? dates[0].toJSON() : undefined,
+                    count: page.window.last,
+                },
+            }));
+        }
+    }
+
+    // Add or replace task instances, e.g. when new DAG runs finish. runs is a list of task instances
+    // like {task_id, execution_date, state, try_number, start_date, end_date}, with a map_index for
+    // those of mapped tasks. The task instances of unknown tasks are ignored, and so are all of them
+    // until the tree has data.
+    appendRuns(runs) {
+        if (!this.nodes)
+            return;
+        const nodes = this.nodes.map(node => Object.assign({}, node));
+        const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+        runs.forEach(run => {
+            const node = nodesById.get(run.task_id);
+            if (!node)
+                return;
+            const taskInstance = Object.assign({}, run);
+            delete taskInstance.task_id;
+            const executionDate = moment.parseZone(run.execution_date);
+            const mapIndex = taskInstanceMapIndex(run);
+            node.task_instances = (node.task_instances || [])
+                .filter(ti => !moment.parseZone(normalizeTaskInstance(ti).execution_date).isSame(executionDate) || taskInstanceMapIndex(ti) != mapIndex)
+                .concat([taskInstance]);
+        });
+
+        this.setData(nodes);
+    }
+
+    connectedCallback() {
+        this.scheduleRefresh();
+        this.colorScheme.addEventListener('change', this.onColorSchemeChange);
+
+        // Already drawn, e.g. the element was moved to a different parent
+        if (this.root)
+            return;
+
+        if (!this.nodes && this.hasAttribute('src'))
+            this.loadSrc(this.getAttribute('src'));
+        else
+            this.render();
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.refreshTimer);
+        this.colorScheme.removeEventListener('change', this.onColorSchemeChange);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue)
+            return;
+
+        switch (name) {
+            case 'dag-id':
+                this.dagId = newValue;
+                this.render();
+                break;
+            case 'src':
+                if (this.isConnected && newValue)
+                    this.loadSrc(newValue);
+                break;
+            case 'expand-depth':
+                this.expandDepth = newValue === null ? 1 : Number(newValue);
+                this.render();
+                break;
+            case 'message':
+                this.shadowRoot.querySelector('#message').innerText = newValue || '';
+                break;
+            case 'refresh-interval':
+                this.refreshInterval = Number(newValue) || 0;
+                this.scheduleRefresh();
+                break;
+            case 'render-mode':
+                this.renderMode = newValue || 'svg';
+                this.render();
+                break;
+            case 'detail-panel':
+                this.detailPanel = newValue !== null;
+                if (!this.detailPanel)
+                    this.hideDetails();
+                break;
+            case 'persist':
+                this.persist = parseStorages(newValue);
+                break;
+            case 'validation':
+                this.validation = newValue || 'lenient';
+                this.render();
+                break;
+            case 'cell-view':
+                this.setCellView(newValue || 'status');
+                break;
+            case 'timezone':
+                this.setTimezone(newValue || 'UTC');
+                break;
+        }
+    }
+
+    // Fetch the data from a JSON url. The JSON can be anything accepted by the data property, or
+    // a list of DAGs like getTestData(), in which case the one matching dag-id (or the first) is used.
+    async loadSrc(src) {
+        try {
+            const response = await this.fetch(src);
+            if (!response.ok)
+                throw new Error(`${response.status} ${response.statusText}`);
+            let data = await response.json();
+            if (Array.isArray(data) && data.length > 0 && data[0].nodes)
+                data = data.find(d => d.dag_id == this.dagId) || data[0];
+            this.shadowRoot.querySelector('#message').innerText = this.getAttribute('message') || '';
+            this.setData(data);
+        } catch (error) {
+            this.shadowRoot.querySelector('#message').innerText = `Failed to load ${src}: ${error.message}`;
+        }
+    }
+
+    // Reload src every refreshInterval seconds to keep the tree live while a DAG is running.
+    // The next load is only scheduled once the previous one is done.
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.isConnected || !this.refreshInterval || !this.hasAttribute('src'))
+            return;
+
+        this.refreshTimer = setTimeout(async () => {
+            await this.loadSrc(this.getAttribute('src'));
+            this.scheduleRefresh();
+        }, this.refreshInterval * 1000);
+    }
+
+    // Build the hierarchy from this.nodes and draw it. Does nothing until the element is in the
+    // document and has data.
+    render() {
+        if (!this.isConnected || !this.nodes)
+            return;
+
+        try {
+            this.buildHierarchy();
+            this.renderTree();
+            this.showProblems(null);
+        } catch (error) {
+            this.showProblems(error);
+        }
+    }
+
+    // Show why the data can't be drawn in place of the tree, or clear that with null. error is an
+    // InvalidDagError or any error thrown while drawing.
+    showProblems(error) {
+        const message = this.shadowRoot.querySelector('#message');
+        const list = this.shadowRoot.querySelector('.problems');
+        if (!error) {
+            if (!list.hidden)
+                message.innerText = this.getAttribute('message') || '';
+            list.hidden = true;
+            return;
+        }
+
+        message.innerText = `Can't draw ${this.dagId == null ? 'the DAG' : this.dagId}: ${error.message}`;
+        d3.select(list)
+            .attr('hidden', error.problems ? null : true)
+            .selectAll('li')
+            .data(error.problems || [])
+            .join('li')
+            .text(problem => problem);
+
+        // Drawn from scratch by the next setData()
+        d3.select(this.shadowRoot.querySelector('.tree-container')).selectAll('svg').remove();
+        if (this.cellCanvas)
+            this.cellCanvas.remove();
+        this.cellCanvas = null;
+        this.root = null;
+        this.updateTree = null;
+    }
+
+    // Create this.root from this.nodes, along with the cell of every node and execution_date in
+    // cellStateMap and every node by id in nodeMap (which includes the nodes of collapsed groups).
+    // Throws an InvalidDagError if the data can't be drawn, see the validation attribute.
+    buildHierarchy() {
+        const validation = validateDag(this.nodes);
+        // Mapped tasks are drawn with a row for each map_index
+        const nodes = validation.nodes ? expandMappedTasks(validation.nodes) : [];
+        // Broken dependencies are left out of the highlighting rather than failing to draw the tree
+        this.dependencies = buildDependencies(nodes);
+        this.dependencyProblems = this.dependencies.problems;
+        this.problems = validation.problems.concat(this.dependencyProblems);
+        if (!validation.nodes || (this.validation == 'strict' && this.problems.length))
+            throw new InvalidDagError(this.dagId, this.problems);
+
+        this.cellStateMap = new Map();
+        this.nodeMap = new Map();
+        this.root = stratifyDag(this.dagId, nodes);
 
-        // Initialize the data for each node
-        this.root.each(node => {
+        // Parsing and formatting dates is slow, so it's only done once for each execution_date
+        const parsedDates = new Map();
+        function parseDate(date) {
+            if (!parsedDates.has(date)) {
+                const executionDate = moment.parseZone(date);
+                parsedDates.set(date, { executionDate: executionDate, json: executionDate.toJSON() });
+            }
+            return parsedDates.get(date);
+        }
+
+        // Initialize the data for each node. Children come before their parent, so the state of a
+        // TaskGroup is rolled up from the cells of its children rather than from all of its tasks.
+        this.root.eachAfter(node => {
             node.id = node.data.id;
+            // Used for the aria attributes that refer to other elements
+            node.domId = `node-${this.nodeMap.size}`;
+            this.nodeMap.set(node.id, node);
             node.x0 = this.root.x0;
             node.y0 = this.root.y0;
             // _children isn't changed when node is expanded/collapsed.
@@ -138,104 +1181,398 @@ export class TaskInstanceTree extends HTMLElement {
 
             const nodeIds = [];
             node.each(child => nodeIds.push(child.id));
-            node.row = Array.from(childrenExecutionDates(node)).map(date => {
-                const executionDate = moment.parseZone(date);
-                const id = rectId(node.data.id, executionDate);
+
+            // For each execution_date, the task instance of a task or the cells of the children of a TaskGroup
+            const columns = new Map();
+            if (node.children) {
+                node.children.forEach(child => child.row.forEach(cell => {
+                    const key = cell.executionDate.valueOf();
+                    if (!columns.has(key))
+                        columns.set(key, { date: cell.executionDateString, childCells: [] });
+                    columns.get(key).childCells.push(cell);
+                }));
+            } else {
+                const taskInstanceByDate = new Map((node.data.task_instances || []).map(ti => [ti.execution_date, ti]));
+                childrenExecutionDates(node).forEach(date => {
+                    columns.set(date, { date: date, taskInstance: taskInstanceByDate.get(date) });
+                });
+            }
+
+            node.row = Array.from(columns.values()).map((column, index) => {
+                const { executionDate, json } = parseDate(column.date);
+                const id = rectId(node.data.id, json);
                 const state = {
                     id: id,
+                    domId: `${node.domId}-${index}`,
                     node: node,
                     nodeType: node._children ? 'TaskGroup' : 'BaseOperator',
                     executionDate: executionDate,
+                    // The execution_date as given in the data
+                    executionDateString: column.date,
+                    // The task instance drawn in this cell. Only set for BaseOperator.
+                    taskInstance: column.taskInstance,
+                    // The task_id and map_index of the task instance. The node of a map_index of a
+                    // mapped task has its own id, see expandMappedTasks().
+                    taskId: node.data.task_id || node.id,
+                    mapIndex: node.data.map_index,
+                    // The Airflow state of the task instance, or the rolled-up state of a TaskGroup
+                    state: column.taskInstance ?
+                        rollupState([taskInstanceState(column.taskInstance)]) :
+                        rollupState(column.childCells.map(cell => cell.state)),
                     // The nodes this node should select/deselect when clicked.
                     nodeIds: nodeIds,
-                    checked: true
+                    // The cells of the children of a TaskGroup on the same execution_date
+                    childCells: column.childCells,
+                    checked: true,
+                    // Whether only some of the task instances of a TaskGroup cell are checked
+                    indeterminate: false,
                 };
                 this.cellStateMap.set(id, state);
                 return state;
             });
         });
-        this.renderTree();
+
+        // Compare the same runs with the new data, unless they're gone
+        if (this.comparison)
+            this.comparison = this.diffRuns(this.comparison.executionDates, this.comparison.durationTolerance);
     }
 
     renderTree() {
-        // Size of each tree node
-        const nodeSize = 16;
-        // Page margin
-        const margin = 6 * nodeSize;
-        // The vertical spacing between nodes
-        const vSpread = nodeSize * 1.3;
-
-        const maxLabelLength = Math.max(...this.root.descendants().map(d => d.data.label.length));
-
-        // The horizontal spacing between nodes
-        const hSpread = nodeSize * Math.min(15, maxLabelLength);
+        // The size of each tree node, the page margin and the vertical spacing between nodes. They are
+        // read again at every update, see layoutSizes().
+        let { nodeSize, margin, vSpread } = this.layoutSizes();
+        // The space above the tree, which holds the dates unless showAxis is false
+        let top = margin;
 
         this.root.x0 = nodeSize / 2;
         this.root.y0 = 0;
 
-        const treeLayout = d3.tree().nodeSize([vSpread, hSpread]);
-
-        // Find the range of execution_date
-        var minDate = null;
-        var maxDate = null;
-        this.root.leaves().forEach(d => {
-            d.data.task_instances.forEach(date_str => {
-                const date = moment.parseZone(date_str);
-                if (minDate == null || date < minDate)
-                    minDate = date;
-                else if (maxDate == null || date > maxDate)
-                    maxDate = date;
-            })
-        });
-
-
-        // The scale used to place task instances on the horizontal axis.
-        // TODO: This calculation needs to be updated to handle different schedule_intervals
-        const numSquares = maxDate.diff(minDate, 'days');
-
         const svg = d3.create('svg');
 
+        // The cells and the date labels are clipped to the area of the runs, so that zooming and panning
+        // them doesn't draw over the tree
+        const clipRect = svg.append('defs').append('clipPath').attr('id', 'runs-clip').append('rect');
+
         const canvas = svg.append('g').attr('transform', translate(nodeSize, margin));
 
-        const duration = 250;
+        // Transitions are skipped when transitionDuration is 0
+        const duration = this.transitionDuration;
+        const animated = selection => duration ? selection.transition().duration(duration) : selection;
 
         const gLink = canvas.append("g").attr('class', 'links');
 
+        const gDependency = canvas.append('g').attr('class', 'dependency-links');
+
         const gNode = canvas.append("g").attr('class', 'nodes');
 
         // Collapse/Expand the tree at node
         function toggleNode(node) {
-            node.children = node.children ? null : node._children;
+            node.children = node.children ? null : treeObj.visibleChildren(node);
         }
 
         const treeObj = this;
 
-        const hScale = d3.scaleTime()
-            .domain([minDate, maxDate])
-            .range([0, 0 + numSquares * vSpread]);
-
         let hStart0 = 0;
         let hStart = 0;
 
+        function toggleChecked(cell) {
+            treeObj.checkCells([cell], !cell.checked);
+        }
+
+        // Check or uncheck all the runs of a node, unless only some are checked, then check them all
+        function toggleRow(node) {
+            treeObj.checkCells(node.row, !node.row.every(cell => cell.checked));
+        }
+
+        // Check or uncheck the cells in the rectangle between the anchor (the cell last clicked without
+        // shift) and the cell at focus, giving them the state the anchor got
+        function checkRange(anchor, focus) {
+            const layout = treeObj.layout;
+            const anchorRow = layout.rows.findIndex(node => node.id == anchor.nodeId);
+            const focusRow = layout.rows.findIndex(node => node.id == focus.nodeId);
+            const cells = [];
+            for (let row = Math.min(anchorRow, focusRow); row <= Math.max(anchorRow, focusRow); row++) {
+                for (let column = Math.min(anchor.column, focus.column); column <= Math.max(anchor.column, focus.column); column++) {
+                    const cell = layout.cellAt(row, column);
+                    if (cell)
+                        cells.push(cell);
+                }
+            }
+            treeObj.checkCells(cells, anchor.checked);
+        }
+
+        function updateSelection() {
+            gNode.selectAll('rect.task-instance-rect,rect.task-group-rect')
+                .classed('rect-unchecked', d => !d.checked && !d.indeterminate)
+                .classed('rect-indeterminate', d => d.indeterminate)
+                .attr('aria-selected', d => d.checked);
+            gNode.selectAll('rect.timing-bar')
+                .attr('class', timingBarClass);
+            if (cellCanvas)
+                cellCanvas.draw();
+        }
+
+        // Move the keyboard focus to the node or cell in treeObj.focus, or to its closest visible
+        // ancestor if it's in a collapsed TaskGroup
+        function showFocus() {
+            const layout = treeObj.layout;
+            if (!treeObj.focus)
+                treeObj.focus = { nodeId: treeObj.root.id, column: -1 };
+            let node = treeObj.nodeMap.get(treeObj.focus.nodeId) || treeObj.root;
+            while (!layout.rows.includes(node))
+                node = node.parent;
+            const column = Math.min(treeObj.focus.column, layout.executionDates.length - 1);
+            treeObj.focus = { nodeId: node.id, column: column };
+
+            const rowIndex = layout.rows.indexOf(node);
+            const cell = column >= 0 ? layout.cellAt(rowIndex, column) : undefined;
+
+            gNode.selectAll('.focused').classed('focused', false);
+            const element = column == -1 ?
+                gNode.selectAll('g.task-node').filter(d => d === node) :
+                gNode.selectAll('rect').filter(d => d === cell);
+            element.classed('focused', true);
+            showDependencies();
+
+            if (cellCanvas) {
+                cellCanvas.setFocus(cell);
+                if (column >= 0)
+                    cellCanvas.scrollIntoView(rowIndex, column);
+            }
+
+            // Screen readers announce the aria-activedescendant. Cells in canvas mode and empty cells
+            // have no element, so they are announced through the live region instead.
+            const liveRegion = treeObj.shadowRoot.querySelector('.sr-only');
+            if (element.empty()) {
+                svg.attr('aria-activedescendant', null);
+                liveRegion.textContent = cell ? cellLabel(cell, treeObj.formatDate) : `${nodeLabel(node)}, no task instance`;
+            } else {
+                svg.attr('aria-activedescendant', element.attr('id'));
+                liveRegion.textContent = '';
+            }
+        }
+
+        // The id of the node under the mouse
+        let hoveredNodeId = null;
+
+        // Highlight the upstream and downstream tasks of the hovered node, or else of the node given
+        // to highlightDependencies() or the node with the keyboard focus, and draw the edges leading
+        // to them. The rows of the other nodes are faded out. Tasks in collapsed TaskGroups are
+        // highlighted at the TaskGroup, and so are the edges to them.
+        function showDependencies() {
+            const layout = treeObj.layout;
+            const nodeId = hoveredNodeId || treeObj.dependencyNodeId || (treeObj.focus && treeObj.focus.nodeId);
+            const node = treeObj.nodeMap.get(nodeId);
+            const visible = new Set(layout.rows);
+            // The node a task is drawn at: itself, or the collapsed TaskGroup it is in
+            function visibleNode(id) {
+                let d = treeObj.nodeMap.get(id);
+                while (!visible.has(d))
+                    d = d.parent;
+                return d;
+            }
+
+            treeObj.upstreamNodes = new Set();
+            treeObj.downstreamNodes = new Set();
+            const edges = new Map();
+            // The tree root has no dependencies outside of itself
+            if (node && node.parent) {
+                // The rows of the map indexes of a mapped task have the dependencies of the task
+                const taskIds = [];
+                eachNode(node, d => {
+                    if (!d._children || d.data.mapped)
+                        taskIds.push(d.data.task_id || d.id);
+                });
+                const related = relatedTasks(taskIds, treeObj.dependencies);
+                related.upstream.forEach(id => treeObj.upstreamNodes.add(visibleNode(id).id));
+                related.downstream.forEach(id => treeObj.downstreamNodes.add(visibleNode(id).id));
+                related.edges.forEach(([from, to, direction]) => {
+                    const source = visibleNode(from);
+                    const target = visibleNode(to);
+                    const key = JSON.stringify([source.id, target.id, direction]);
+                    if (source !== target)
+                        edges.set(key, { source, target, direction });
+                });
+            }
+
+            const highlighted = treeObj.upstreamNodes.size > 0 || treeObj.downstreamNodes.size > 0;
+            // The node itself may be in a collapsed TaskGroup, e.g. after highlightDependencies()
+            const shownNode = node && visibleNode(node.id);
+            const isFaded = d => highlighted && d !== shownNode && !treeObj.upstreamNodes.has(d.id) && !treeObj.downstreamNodes.has(d.id);
+            gNode.selectAll('g.task-node')
+                .classed('upstream', d => treeObj.upstreamNodes.has(d.id))
+                .classed('downstream', d => treeObj.downstreamNodes.has(d.id))
+                .classed('dependency-faded', isFaded);
+            gNode.selectAll('g.node-state-rect-group')
+                .classed('dependency-faded', isFaded);
+            layout.isFaded = rowIndex => isFaded(layout.rows[rowIndex]);
+
+            // Edges curve out to the left of the nodes, further the longer they are
+            gDependency.selectAll('path')
+                .data(Array.from(edges.values()))
+                .join('path')
+                .attr('class', d => d.direction)
+                .attr('part', 'dependency-link')
+                .attr('d', d => {
+                    const bend = nodeSize + Math.abs(d.target.x - d.source.x) / 3;
+                    return `M${d.source.y},${d.source.x} C${d.source.y - bend},${d.source.x} ${d.target.y - bend},${d.target.x} ${d.target.y},${d.target.x}`;
+                });
+
+            if (cellCanvas)
+                cellCanvas.draw();
+        }
+
+        function onKeyDown(event) {
+            showFocus();
+            const layout = treeObj.layout;
+            // The context menu key or shift+F10 opens the context menu of the focused node or cell
+            if (event.key == 'ContextMenu' || (event.shiftKey && event.key == 'F10')) {
+                const node = treeObj.nodeMap.get(treeObj.focus.nodeId);
+                const cell = treeObj.focus.column >= 0 ? layout.cellAt(layout.rows.indexOf(node), treeObj.focus.column) : null;
+                const focused = treeObj.shadowRoot.querySelector('.focused') || svg.node();
+                const bounds = focused.getBoundingClientRect();
+                if (cell !== undefined && treeObj.showContextMenu(treeObj.actionTarget(cell ? 'cell' : 'node', cell || node), bounds.left, bounds.bottom))
+                    event.preventDefault();
+                return;
+            }
+            const focus = moveFocus(event.key, treeObj.focus, layout, {
+                toggleNode: node => treeObj.setExpanded(node.id, !node.children),
+                toggleCell: cell => {
+                    toggleChecked(cell);
+                    treeObj.selectionChanged();
+                },
+                activateCell: cell => {
+                    if (treeObj.detailPanel)
+                        treeObj.showDetails(cellDetails(cell, treeObj.descendantTaskCells(cell), treeObj.cellTiming(cell), treeObj.formatDate), treeObj.cellLinks(cell));
+                },
+            });
+            if (!focus)
+                return;
+
+            event.preventDefault();
+            treeObj.focus = focus;
+            showFocus();
+        }
+
+        svg.attr('role', 'treegrid')
+            .attr('aria-label', `Task instances of ${this.dagId}`)
+            .attr('tabindex', 0)
+            .on('keydown', onKeyDown);
+
+        function onCellClick(event, cell) {
+            event.preventDefault();
+            treeObj.focus = {
+                nodeId: cell.node.id,
+                column: treeObj.layout.executionDates.findIndex(date => date.valueOf() == cell.executionDate.valueOf()),
+            };
+            const anchor = treeObj.selectionAnchor;
+            if (event.shiftKey && anchor && treeObj.layout.rows.some(node => node.id == anchor.nodeId)) {
+                checkRange(anchor, treeObj.focus);
+            } else {
+                toggleChecked(cell);
+                treeObj.selectionAnchor = Object.assign({ checked: cell.checked }, treeObj.focus);
+            }
+            treeObj.selectionChanged();
+            if (treeObj.detailPanel)
+                treeObj.showDetails(cellDetails(cell, treeObj.descendantTaskCells(cell), treeObj.cellTiming(cell), treeObj.formatDate), treeObj.cellLinks(cell));
+        }
+
+        // Open the context menu of a cell ('cell'), a node ('node') or a date ('run') at the mouse
+        function onContextMenu(type) {
+            return (event, d) => {
+                if (treeObj.showContextMenu(treeObj.actionTarget(type, d), event.clientX, event.clientY))
+                    event.preventDefault();
+            };
+        }
+
+        function onCellHover(event, cell) {
+            treeObj.showTooltip(event, cellDetails(cell, treeObj.descendantTaskCells(cell), treeObj.cellTiming(cell), treeObj.formatDate));
+        }
+
+        function onNodeHover(event, node) {
+            treeObj.showTooltip(event, nodeDetails(node));
+        }
+
+        function onLeave() {
+            treeObj.hideTooltip();
+        }
+
+        const container = this.shadowRoot.querySelector('.tree-container');
+        if (this.cellCanvas)
+            this.cellCanvas.remove();
+        container.classList.toggle('canvas-mode', this.renderMode == 'canvas');
+        const cellCanvas = this.renderMode == 'canvas' ?
+            new CellCanvas(container, svg.node(), cellClass, { click: onCellClick, hover: onCellHover, leave: onLeave, contextmenu: onContextMenu('cell') }) : null;
+        this.cellCanvas = cellCanvas;
+
         function update(source) {
+            // The layout depends on the data, which can change between updates (see setData()), and
+            // on the styles (see refreshStyles())
+            const sizes = treeObj.layoutSizes();
+            ({ nodeSize, margin, vSpread } = sizes);
+            top = treeObj.showAxis ? margin : nodeSize;
+            canvas.attr('transform', translate(nodeSize, top));
+            const maxLabelLength = Math.max(...treeObj.root.descendants().map(d => d.data.label.length));
+
+            // The horizontal spacing between nodes
+            const hSpread = sizes.hSpread || nodeSize * Math.min(15, maxLabelLength);
+
+            const treeLayout = d3.tree().nodeSize([vSpread, hSpread]);
+
+            // Every DAG run gets its own evenly spaced column, whatever the schedule_interval is.
+            // Irregular or manually triggered runs are simply extra columns. Only the runs in the
+            // date window are drawn.
+            const datesByTime = new Map(treeObj.root.row.map(cell => [cell.executionDate.valueOf(), cell.executionDate]));
+            treeObj.axisDates.forEach(date => {
+                const executionDate = moment.isMoment(date) ? date : moment.parseZone(date);
+                if (!datesByTime.has(executionDate.valueOf()))
+                    datesByTime.set(executionDate.valueOf(), executionDate);
+            });
+            const allExecutionDates = Array.from(datesByTime.values()).sort((a, b) => a - b);
+            const range = windowRange(allExecutionDates, treeObj.dateWindow);
+            // When comparing runs, only those two are drawn, side by side
+            const executionDates = treeObj.comparison ?
+                treeObj.comparison.executionDates.slice().sort((a, b) => a - b) :
+                allExecutionDates.slice(range.first, range.end);
+            const columnIndex = new Map(executionDates.map((date, index) => [date.valueOf(), index]));
+            const inWindow = cell => columnIndex.has(cell.executionDate.valueOf());
+            const axisFormat = axisLabelFormat(treeObj.scheduleInterval, executionDates);
+
+            // The scale used to place task instances on the horizontal axis. It's keyed by the
+            // timestamp of the execution_date so that the same moment in any utc offset maps to one column.
+            const hScale = d3.scalePoint()
+                .domain(executionDates.map(date => date.valueOf()))
+                .range([0, Math.max(0, executionDates.length - 1) * vSpread]);
+
             // The point on the horizontal scale where the task instances should be placed
             hStart0 = hStart;
-            hStart = hSpread * Math.max(1, expandedHeight(treeObj.root));
+            const naturalHStart = hSpread * Math.max(1, expandedHeight(treeObj.root));
+            hStart = Math.max(treeObj.minTreeWidth, naturalHStart);
 
             const links = treeObj.root.links();
 
             // Compute the new tree layout.
             treeLayout(treeObj.root);
 
-            svg.transition().duration(duration)
-                // Calculate the current page height needed to display the tree
-                .attr('height', (treeObj.root.descendants().length * vSpread + vSpread) + margin)
-                // Calculate the current page width needed to display the tree
-                .attr('width', hStart + hScale.range()[1] + margin);
+            // The width of all the runs, and of the part of it that is shown. The runs are fitted to the
+            // element and can be zoomed and panned, with the tree staying in place.
+            const runsWidth = hScale.range()[1] + nodeSize;
+            const availableWidth = container.clientWidth - hStart - margin;
+            const viewWidth = availableWidth > nodeSize ? Math.min(runsWidth, availableWidth) : runsWidth;
+
+            // Calculate the current page size needed to display the tree
+            const height = (treeObj.root.descendants().length * vSpread + vSpread) + top;
+            const width = hStart + viewWidth - nodeSize + margin;
+            animated(svg)
+                .attr('height', height)
+                .attr('width', width);
 
             var i = 0;
+            // The visible nodes from top to bottom
+            const rows = [];
             // Push nodes down (pre-order traversal)
             treeObj.root.eachBefore(d => {
+                rows.push(d);
                 d.x = vSpread * i++;
                 // Align the leaf nodes to the right.
                 if (!d.children && d.parent != null)
@@ -259,39 +1596,77 @@ export class TaskInstanceTree extends HTMLElement {
 
             nodeEnter
                 .attr('class', 'task-node')
+                .attr('role', 'row')
                 .attr("transform", d => translate(source.y0, source.x0))
                 .attr("fill-opacity", 0)
                 .attr("stroke-opacity", 0);
 
+            // The cells of a row are in a separate node-state-rect-group, which aria-owns makes part of the row
+            nodeUpdate.merge(nodeEnter)
+                .attr('id', d => d.domId)
+                .attr('aria-owns', d => `${d.domId}-cells`)
+                .attr('aria-level', d => d.depth + 1)
+                .attr('aria-expanded', d => d._children ? Boolean(d.children) : null)
+                .attr('aria-label', nodeLabel)
+                .classed('match', d => treeObj.matchedNodes.has(d.id))
+                .classed('dimmed', d => treeObj.dimmedNodes.has(d.id))
+                .classed('differs', d => Boolean(d.differs))
+                .on('mouseenter', (event, d) => {
+                    hoveredNodeId = d.id;
+                    showDependencies();
+                })
+                .on('mouseleave', () => {
+                    hoveredNodeId = null;
+                    showDependencies();
+                });
+
             nodeEnter.append("circle")
+                .attr('part', 'node')
+                // Use merge because a node may become a TaskGroup when the data changes
+                .merge(nodeUpdate.select('circle'))
                 .attr("r", nodeSize / 2)
                 .attr("class", d => d._children ? 'group' : 'task')
                 // NOTE: The signature of the callable changed in d3 v6.
+                // Alt-click expands or collapses all the TaskGroups in the node too.
                 .on("click", (event, d) => {
                     event.preventDefault();
-                    toggleNode(d);
-                    update(d);
-                });
+                    treeObj.focus = { nodeId: d.id, column: -1 };
+                    if (event.altKey)
+                        treeObj.setSubtreeExpanded(d.id, !d.children);
+                    else
+                        treeObj.setExpanded(d.id, !d.children);
+                    if (treeObj.detailPanel)
+                        treeObj.showDetails(nodeDetails(d), []);
+                })
+                .on('contextmenu', onContextMenu('node'))
+                .on('mousemove', onNodeHover)
+                .on('mouseout', onLeave);
 
             // Transition nodes to their new position.
-            nodeUpdate.merge(nodeEnter)
-                .transition().duration(duration)
+            animated(nodeUpdate.merge(nodeEnter))
                 .attr("transform", d => translate(d.y, d.x))
                 .attr("fill-opacity", 1)
                 .attr("stroke-opacity", 1);
 
             // Transition exiting nodes to the parent's new position.
-            nodeUpdate.exit().transition().duration(duration).remove()
+            animated(nodeUpdate.exit()).remove()
                 .attr("transform", d => translate(source.y, source.x))
                 .attr("fill-opacity", 0)
                 .attr("stroke-opacity", 0);
 
-            nodeEnter.append("text")
+            const labels = nodeEnter.append("text")
                 .attr("class", 'label')
+                .attr('part', 'label')
+                .attr('role', 'rowheader')
                 .attr("dy", '0.31em')
                 // Use merge because text attributes may change when collapsing expanding nodes
                 .merge(nodeUpdate.select('text'))
-                .transition().duration(duration)
+                .on('click', (event, d) => {
+                    event.preventDefault();
+                    toggleRow(d);
+                    treeObj.selectionChanged();
+                });
+            animated(labels)
                 .attr('text-anchor', d => isLeafNode(d) ? 'end' : 'start')
                 .attr("x", d => (isLeafNode(d) ? -nodeSize : nodeSize) * 0.8)
                 .text(d => d.data.label);
@@ -303,8 +1678,7 @@ export class TaskInstanceTree extends HTMLElement {
                 // H (Horitontal line): Absolute coordinate specifying how long to draw in the x direction
                 // For more info, see SVG documentation on Paths:
                 // https://developer.mozilla.org/en-US/docs/Web/SVG/Tutorial/Paths
-                return action
-                    .transition().duration(duration)
+                return animated(action)
                     .attr("d", d => `
                         M${d.source.y},${d.source.x}
                         V${d.target.x}
@@ -317,6 +1691,7 @@ export class TaskInstanceTree extends HTMLElement {
                 .data(links, d => d.target.id)
                 .join(
                     enter => enter.append('path')
+                        .attr('part', 'link')
                         // First draw the link at the source and then transition to the final position
                         .attr("d", () => `
                             M${source.y0},${source.x0}
@@ -325,7 +1700,7 @@ export class TaskInstanceTree extends HTMLElement {
                         `)
                         .call(drawLinkWithTransition),
                     update => update.call(drawLinkWithTransition),
-                    exit => exit.transition().duration(duration).remove()
+                    exit => animated(exit).remove()
                         .attr("d", () => `
                         M${source.y},${source.x}
                         V${source.x}
@@ -353,82 +1728,648 @@ export class TaskInstanceTree extends HTMLElement {
             taskRowEnter
                 .merge(taskRowUpdate)
                 .attr('class', 'node-state-rect-group')
+                .attr('id', d => `${d.domId}-cells`)
+                .attr('role', 'none')
+                .attr('clip-path', 'url(#runs-clip)')
+                .classed('dimmed', d => treeObj.dimmedNodes.has(d.id))
 
-            taskRowEnter
-                // Add new rect at the original location of the node (i.e. where it's clicked)
-                .attr('transform', d => translate(hStart0, source.x0))
-                .transition().duration(duration)
+            // Add new rect at the original location of the node (i.e. where it's clicked)
+            animated(taskRowEnter.attr('transform', d => translate(hStart0, source.x0)))
                 .attr('transform', d => translate(hStart, d.x - nodeSize / 2));
 
-            taskRowUpdate
-                // Update existing rect from the original location
-                .attr('transform', d => translate(hStart0, d.x0 - nodeSize / 2))
-                .transition().duration(duration)
+            // Update existing rect from the original location
+            animated(taskRowUpdate.attr('transform', d => translate(hStart0, d.x0 - nodeSize / 2)))
                 .attr('transform', d => translate(hStart, d.x - nodeSize / 2));
 
 
-            taskRowUpdate.exit().transition().duration(duration).remove().attr("transform", () => translate(hStart, source.x));
-
+            animated(taskRowUpdate.exit()).remove().attr("transform", () => translate(hStart, source.x));
 
-            function toggleChecked(cell) {
-                cell.checked = !cell.checked;
-                const rectIds = new Set(cell.nodeIds.map(nodeId => rectId(nodeId, cell.executionDate)));
-                // Update model state. Some tasks do not have a TaskInstance on certain days so filter out undefined.
-                Array.from(rectIds).map(id => treeObj.cellStateMap.get(id)).filter(d => d != undefined).forEach(state => state.checked = cell.checked);
-            }
 
-            // For every row, add the cells
+            // For every row, add the cells. They are drawn by cellCanvas instead in canvas mode.
             const nodeStateRectUpdate = taskRowEnter.merge(taskRowUpdate).selectAll('rect.task-instance-rect,rect.task-group-rect')
-                .data(d => d.row, d => d.id);
+                .data(d => cellCanvas ? [] : d.row.filter(inWindow), d => d.id);
 
             const nodeStateRectEnterUpdate = nodeStateRectUpdate.enter().append('rect').merge(nodeStateRectUpdate);
 
+            // Remove the cells of task instances that no longer exist
+            nodeStateRectUpdate.exit().remove();
+
             nodeStateRectEnterUpdate
-                .attr('class', d => d.nodeType == 'TaskGroup' ? 'task-group-rect' : 'task-instance-rect')
-                .attr('width', nodeSize)
+                .attr('id', d => d.domId)
+                .attr('role', 'gridcell')
+                .attr('part', 'cell')
+                .attr('aria-label', d => cellLabel(d, treeObj.formatDate))
+                .attr('aria-selected', d => d.checked)
+                .attr('class', cellClass)
                 .attr('height', nodeSize)
+                .on('click', onCellClick)
+                .on('contextmenu', onContextMenu('cell'))
+                .on('mousemove', onCellHover)
+                .on('mouseout', onLeave);
+
+            // In the duration and Gantt views, a bar over each cell shows when its task instances ran.
+            // The durations are relative to the longest of the row in the window, the times to the DAG run.
+            const cellView = treeObj.cellView;
+            svg.classed('timing-view', cellView != 'status');
+            const runCells = new Map(treeObj.root.row.map(cell => [cell.executionDate.valueOf(), cell]));
+            const longestOfRow = new Map();
+            const barOf = cell => {
+                if (cellView == 'status')
+                    return null;
+                if (!longestOfRow.has(cell.node.id))
+                    longestOfRow.set(cell.node.id, Math.max(0, ...cell.node.row.filter(inWindow).map(rowCell => treeObj.cellTiming(rowCell).duration || 0)));
+                return timingBar(cellView, treeObj.cellTiming(cell), longestOfRow.get(cell.node.id), treeObj.cellTiming(runCells.get(cell.executionDate.valueOf())));
+            };
+
+            taskRowEnter.merge(taskRowUpdate).selectAll('rect.timing-bar')
+                .data(d => cellCanvas || cellView == 'status' ? [] : d.row.filter(cell => inWindow(cell) && barOf(cell)), d => d.id)
+                .join('rect')
+                .attr('class', timingBarClass)
+                .attr('y', d => barOf(d).y * nodeSize)
+                .attr('height', d => barOf(d).height * nodeSize)
+                // Over the cells, including those of runs added since the bars were
+                .raise();
+
+            treeObj.layout = {
+                rows: rows,
+                executionDates: executionDates,
+                columnCount: executionDates.length,
+                hScale: hScale,
+                hStart: hStart,
+                // Where the runs would start without minTreeWidth
+                naturalHStart: naturalHStart,
+                axisFormat: axisFormat,
+                nodeSize: nodeSize,
+                width: width,
+                height: height,
+                // All the runs, including those outside of the date window
+                allExecutionDates: allExecutionDates,
+                columnIndex: columnIndex,
+                runsWidth: runsWidth,
+                viewWidth: viewWidth,
+                cellAt: (rowIndex, columnIndex) => treeObj.cellStateMap.get(rectId(rows[rowIndex].id, executionDates[columnIndex])),
+                // Whether a row is faded out because it's unrelated to the highlighted dependencies, see showDependencies()
+                isFaded: () => false,
+                barOf: barOf,
+            };
+
+            // Label the top row (the cells that have no parent). Similar outcome could have been achieved with
+            // d3.axisTop(), but it makes the axis label too difficult to align with the cells perfectly.
+            // So creating a text element for each top rect instead.
+            taskRowEnter.merge(taskRowUpdate).filter(d => d.parent == null)
+                .selectAll('text.axis-label')
+                .data(d => d.row.filter(inWindow), d => d.id)
+                // The dates are part of the labels of the cells, so screen readers skip the axis
+                .join(enter => enter.append('text').attr('class', 'axis-label').attr('part', 'axis-label').attr('aria-hidden', true))
+                .text(d => treeObj.formatDate(d.executionDate, axisFormat))
+                .classed('compare-pick', d => treeObj.isComparePick(d.executionDate))
+                // The cell of the DAG checks or unchecks the whole DAG run. Ctrl-click picks the runs to compare.
                 .on('click', (event, d) => {
                     event.preventDefault();
+                    if (event.ctrlKey || event.metaKey) {
+                        treeObj.pickRun(d.executionDate);
+                        return;
+                    }
                     toggleChecked(d);
-                    updateSelection();
+                    treeObj.selectionChanged();
                 })
-                .transition().duration(duration)
-                .attr('x', d => {
-                    return hScale(d.executionDate)
-                });
+                .on('contextmenu', onContextMenu('run'));
 
+            zoom.extent([[nodeSize + hStart, 0], [nodeSize + hStart + viewWidth, height]])
+                .translateExtent([[nodeSize + hStart, -Infinity], [nodeSize + hStart + runsWidth, Infinity]])
+                .scaleExtent([Math.min(1, viewWidth / runsWidth), 16]);
+            drawColumns(true);
 
-            function updateSelection() {
-                nodeStateRectEnterUpdate
-                    .classed('rect-unchecked', d => !d.checked);
+            // The focused node may have been collapsed into its TaskGroup
+            if (treeObj.focus)
+                showFocus();
+            else
+                showDependencies();
+
+            treeObj.shadowRoot.querySelector('.end-comparison').hidden = !treeObj.comparison;
+            treeObj.saveState();
+        }
+
+        // Place the cells and the date labels on the horizontal axis, zoomed and panned by
+        // treeObj.zoomTransform. The dates are thinned out when they get too close to each other.
+        function drawColumns(animate) {
+            const layout = treeObj.layout;
+            const transform = treeObj.zoomTransform;
+            // Where the runs start in the coordinates of the zoom, which are those of the container
+            const origin = nodeSize + layout.hStart;
+            const columnX = date => transform.applyX(origin + layout.hScale(date.valueOf())) - origin;
+            const step = vSpread * transform.k;
+            const cellWidth = nodeSize * transform.k;
+            const labelEvery = Math.ceil(vSpread / step);
+            const transition = selection => animate ? animated(selection) : selection;
+            layout.columnX = columnX;
+            layout.columnStep = step;
+            layout.cellWidth = cellWidth;
+            layout.labelEvery = labelEvery;
+
+            clipRect.attr('x', 0)
+                .attr('y', -margin)
+                .attr('width', layout.viewWidth)
+                .attr('height', margin + vSpread);
+
+            transition(gNode.selectAll('rect.task-instance-rect,rect.task-group-rect'))
+                .attr('x', d => columnX(d.executionDate))
+                .attr('width', cellWidth);
+
+            // Bars are at least a pixel wide, so that short task instances can be seen
+            transition(gNode.selectAll('rect.timing-bar'))
+                .attr('x', d => columnX(d.executionDate) + layout.barOf(d).x * cellWidth)
+                .attr('width', d => Math.max(1, layout.barOf(d).width * cellWidth));
+
+            gNode.selectAll('text.axis-label')
+                .attr('display', d => !treeObj.showAxis || layout.columnIndex.get(d.executionDate.valueOf()) % labelEvery ? 'none' : null)
+                .call(transition)
+                .attr('transform', d => `${translate(columnX(d.executionDate) + step / 2, -vSpread / 2)} rotate(-60)`);
+
+            if (cellCanvas) {
+                cellCanvas.setLayout({
+                    x: transform.applyX(origin),
+                    y: top - nodeSize / 2,
+                    step: vSpread,
+                    cellSize: nodeSize,
+                    columnStep: step,
+                    cellWidth: cellWidth,
+                    clipLeft: origin,
+                    clipRight: origin + layout.viewWidth,
+                    rowCount: layout.rows.length,
+                    columnCount: layout.executionDates.length,
+                    cellAt: layout.cellAt,
+                    barOf: treeObj.cellView == 'status' ? null : layout.barOf,
+                    isDimmed: rowIndex => treeObj.dimmedNodes.has(layout.rows[rowIndex].id) || layout.isFaded(rowIndex),
+                });
             }
 
-            updateSelection();
+            // E.g. for <dag-tree-dashboard> to line up its other trees and its dates with this one
+            treeObj.dispatchEvent(new CustomEvent('layoutchange'));
+        }
 
-            // Label the top row (the cells that have no parent). Similar outcome could have been achieved with
-            // d3.axisTop(), but it makes the axis label too difficult to align with the cells perfectly.
-            // So creating a text element for each top rect instead.
-            nodeStateRectUpdate.enter().filter(d => d.node.parent == null)
-                .append('text')
-                .text(d => d.executionDate.format('YYYYMMDD'))
-                .transition().duration(duration)
-                .attr('transform', d => `${translate(hScale(d.executionDate) + vSpread / 2, -vSpread / 2)} rotate(-60)`)
-                .attr('class', 'axis-label');
+        // Zoom with ctrl + the mouse wheel (or pinching a touchpad), pan by dragging the cells
+        const zoom = d3.zoom()
+            .filter(event => event.type == 'wheel' ? event.ctrlKey : !event.button && isRunsTarget(event.target))
+            .on('zoom', event => {
+                treeObj.zoomTransform = event.transform;
+                drawColumns(false);
+            });
+
+        function isRunsTarget(target) {
+            return target.classList.contains('cell-canvas') || target.matches('rect.task-instance-rect,rect.task-group-rect');
         }
 
-        // Collapse all nodes except the first level of children
-        treeObj.root.descendants().filter(d => d.id != treeObj.root.id).forEach(d => toggleNode(d));
+        d3.select(container).call(zoom).on('dblclick.zoom', null);
+
+        // Reset the zoom to show the latest runs at their normal size
+        this.resetZoom = () => {
+            const layout = treeObj.layout;
+            d3.select(container).call(zoom.transform, d3.zoomIdentity.translate(layout.viewWidth - layout.runsWidth, 0));
+        };
+        this.zoomRuns = transform => d3.select(container).call(zoom.transform, transform);
+
+        // Used by highlightDependencies()
+        this.updateDependencies = showDependencies;
+        // Used to redraw the checked cells after changes made by selectWhere() and the like
+        this.updateSelection = updateSelection;
+
+        // Add to DOM, replacing the tree drawn for previous data. This is done before the first update()
+        // so that the styles of the shadow root apply when cellCanvas looks up the cell colors.
+        d3.select(container).selectAll('svg').remove();
+        container.insertBefore(svg.node(), container.firstChild);
+
+        // Restore the saved state, or else collapse the nodes at expandDepth and deeper. By default all
+        // nodes except the first level of children.
+        if (!treeObj.restoreState())
+            treeObj.root.descendants().filter(d => d._children && d.depth >= treeObj.expandDepth).forEach(d => toggleNode(d));
+        treeObj.applyFilter(true);
+        this.fillExpandLevels();
         update(treeObj.root);
-        // Add to DOM
-        this.shadowRoot.querySelector('.tree-container').appendChild(svg.node());
+        this.resetZoom();
+        // Used to redraw the tree after changes made outside of renderTree(), e.g. by setData()
+        this.updateTree = update;
     }
 
-    getExcludedTaskInstances() {
-        return Array.from(this.cellStateMap.values()).filter(val => !val.checked && val.nodeType == 'BaseOperator')
-            .map(val => {
-                const [task_id, execution_date] = JSON.parse(val.id);
-                return { dag_id: this.dagId, task_id: task_id, execution_date: execution_date };
+    // The sizes used to lay out the tree in pixels, from the --tree-node-size, --tree-v-spread and
+    // --tree-h-spread css custom properties. hSpread is null when it's worked out from the labels.
+    layoutSizes() {
+        const style = getComputedStyle(this);
+        const size = name => parseFloat(style.getPropertyValue(name));
+        const nodeSize = size('--tree-node-size') || 16;
+        return {
+            nodeSize: nodeSize,
+            margin: 6 * nodeSize,
+            vSpread: size('--tree-v-spread') || nodeSize * 1.3,
+            hSpread: size('--tree-h-spread') || null,
+        };
+    }
+
+    // Redraw the tree after the page changed the custom properties or other styles of the element.
+    // This also happens when the color scheme of the OS changes.
+    refreshStyles() {
+        if (this.cellCanvas)
+            this.cellCanvas.clearColors();
+        if (this.updateTree)
+            this.updateTree(this.root);
+    }
+
+    // Check or uncheck cells. The cell of a TaskGroup stands for the cells of its tasks on the same
+    // execution_date. Call selectionChanged() when done.
+    checkCells(cells, checked) {
+        cells.forEach(cell => this.descendantTaskCells(cell).forEach(taskCell => taskCell.checked = checked));
+    }
+
+    // Work out which TaskGroup cells are checked, unchecked or indeterminate from the cells of their tasks
+    refreshGroupCells() {
+        // nodeMap is filled by eachAfter(), so the children of a TaskGroup come before it
+        this.nodeMap.forEach(node => {
+            if (!node._children)
+                return;
+            node.row.forEach(cell => {
+                const checkedCount = cell.childCells.filter(child => child.checked).length;
+                cell.checked = checkedCount == cell.childCells.length;
+                cell.indeterminate = !cell.checked && (checkedCount > 0 || cell.childCells.some(child => child.indeterminate));
+            });
+        });
+    }
+
+    // Redraw the cells after changing which are checked and let the listeners know
+    selectionChanged() {
+        this.refreshGroupCells();
+        if (this.updateSelection)
+            this.updateSelection();
+        this.saveState();
+        this.dispatchSelectionChange();
+    }
+
+    // Expand the TaskGroups and uncheck the cells saved for this DAG, if persist is set and there is
+    // a saved state. Returns whether there was one.
+    restoreState() {
+        const state = this.persist.length ? readState(this.dagId, this.persist) : null;
+        if (!state)
+            return false;
+        applyState(state, this.nodeMap, (taskId, date) => this.cellStateMap.get(rectId(taskId, date)));
+        this.refreshGroupCells();
+        return true;
+    }
+
+    // Save the expanded TaskGroups and the unchecked cells to the places in persist
+    saveState() {
+        if (this.persist.length && this.root)
+            writeState(this.dagId, captureState(this.nodeMap, this.cellStateMap), this.persist);
+    }
+
+    // Check exactly the task instances for which predicate(cell) is true. cell has the node,
+    // executionDate (a moment), state and taskInstance of the task instance. E.g. all failed in the
+    // last 3 days: tree.selectWhere(cell => cell.state == 'failed' && cell.executionDate.isAfter(moment().subtract(3, 'days')))
+    selectWhere(predicate) {
+        this.cellStateMap.forEach(cell => {
+            if (cell.nodeType == 'BaseOperator')
+                cell.checked = Boolean(predicate(cell));
+        });
+        this.selectionChanged();
+    }
+
+    selectAll() {
+        this.selectWhere(() => true);
+    }
+
+    selectNone() {
+        this.selectWhere(() => false);
+    }
+
+    invertSelection() {
+        this.selectWhere(cell => !cell.checked);
+    }
+
+    // Throw if the tree isn't drawn, before it has data or when the data can't be drawn
+    checkDrawn() {
+        if (!this.root || !this.layout)
+            throw new Error(`${this.dagId} isn't drawn`);
+    }
+
+    // Return the visible rows of the tree, taking the expanded TaskGroups and the filter into account,
+    // as {executionDates, rows}. Each row is {id, label, type, depth, states}, states being the state of
+    // the row on each execution_date (undefined if there is no task instance).
+    visibleTable() {
+        this.checkDrawn();
+        const layout = this.layout;
+        return {
+            executionDates: layout.executionDates.map(date => date.toJSON()),
+            rows: layout.rows.map((node, rowIndex) => ({
+                id: node.id,
+                label: node.data.label,
+                type: node.parent ? (node._children ? 'TaskGroup' : 'Task') : 'DAG',
+                depth: node.depth,
+                states: layout.executionDates.map((date, column) => {
+                    const cell = layout.cellAt(rowIndex, column);
+                    return cell ? cell.state || 'no_status' : undefined;
+                }),
+            })),
+        };
+    }
+
+    // Return the markup of a standalone SVG of the tree as drawn, with the styles inlined. In canvas
+    // mode the cells are added to it as rects.
+    exportSVG() {
+        this.checkDrawn();
+        const svg = this.shadowRoot.querySelector('.tree-container svg');
+        const layout = this.layout;
+        const copy = svg.cloneNode(true);
+        if (this.cellCanvas) {
+            const rowGroups = svg.querySelectorAll('g.node-state-rect-group');
+            copy.querySelectorAll('g.node-state-rect-group').forEach((group, index) => {
+                const node = d3.select(rowGroups[index]).datum();
+                d3.select(group).selectAll('rect')
+                    .data(node.row.filter(cell => layout.columnIndex.has(cell.executionDate.valueOf())))
+                    .join('rect')
+                    .attr('class', cellClass)
+                    .attr('x', cell => layout.columnX(cell.executionDate))
+                    .attr('width', layout.cellWidth)
+                    .attr('height', layout.nodeSize);
+            });
+        }
+        const styleText = this.shadowRoot.querySelector('style').textContent;
+        return standaloneSVG(copy, styleText, this, layout.width, layout.height);
+    }
+
+    // Resolve to a PNG Blob of exportSVG(), scale times its size
+    async exportPNG(scale = 1) {
+        return svgToPNG(this.exportSVG(), this.layout.width, this.layout.height, scale);
+    }
+
+    // Return the visible rows as CSV, with a column for each execution_date holding the states
+    exportCSV() {
+        const table = this.visibleTable();
+        return toCSV([['task_id', 'label', 'type', 'depth'].concat(table.executionDates)]
+            .concat(table.rows.map(row => [row.id, row.label, row.type, row.depth].concat(row.states))));
+    }
+
+    // Return the visible rows as JSON, see visibleTable()
+    exportJSON() {
+        const table = this.visibleTable();
+        return JSON.stringify({
+            dag_id: this.dagId,
+            execution_dates: table.executionDates,
+            rows: table.rows.map(row => ({
+                id: row.id,
+                label: row.label,
+                type: row.type,
+                depth: row.depth,
+                // Keyed by execution_date, leaving out the dates without a task instance
+                states: Object.fromEntries(row.states
+                    .map((state, column) => [table.executionDates[column], state])
+                    .filter(([date, state]) => state !== undefined)),
+            })),
+        }, null, 2);
+    }
+
+    // Download the tree as 'svg', 'png', 'csv' or 'json', like the export button of the toolbar does
+    async download(format) {
+        const filename = `${this.dagId}.${format}`;
+        switch (format) {
+            case 'svg':
+                downloadFile(this.exportSVG(), filename, 'image/svg+xml');
+                break;
+            case 'png':
+                downloadFile(await this.exportPNG(window.devicePixelRatio || 1), filename, 'image/png');
+                break;
+            case 'csv':
+                downloadFile(this.exportCSV(), filename, 'text/csv');
+                break;
+            case 'json':
+                downloadFile(this.exportJSON(), filename, 'application/json');
+                break;
+            default:
+                throw new Error(`Unknown export format ${format}`);
+        }
+    }
+
+    // Return the cells of the tasks under a TaskGroup cell on the same execution_date. The cell
+    // itself for the cell of a task.
+    descendantTaskCells(cell) {
+        return cell.nodeIds
+            .map(nodeId => this.cellStateMap.get(rectId(nodeId, cell.executionDate)))
+            .filter(d => d !== undefined && d.nodeType == 'BaseOperator');
+    }
+
+    // Return the timing of a cell, see taskDurations.js. It's worked out when first needed, as it's
+    // only drawn in the duration and Gantt views, and kept once the task instances have finished.
+    cellTiming(cell) {
+        if (cell.timing)
+            return cell.timing;
+
+        let timing, finished;
+        if (cell.nodeType == 'BaseOperator') {
+            const taskInstance = cell.taskInstance || {};
+            timing = taskInstanceTiming(taskInstance);
+            finished = !taskInstance.start_date || Boolean(taskInstance.end_date);
+        } else {
+            const taskCells = this.descendantTaskCells(cell);
+            timing = groupTiming(new Map(taskCells.map(taskCell => [taskCell.node.id, this.cellTiming(taskCell)])), this.dependencies.upstream);
+            finished = taskCells.every(taskCell => taskCell.timing);
+        }
+        // Running task instances last until now, so their timing is worked out again at every draw
+        if (finished)
+            cell.timing = timing;
+        return timing;
+    }
+
+    // Return the {label, url} links of a task instance cell made from linkTemplates
+    cellLinks(cell) {
+        if (cell.nodeType != 'BaseOperator')
+            return [];
+
+        const values = {
+            dag_id: this.dagId,
+            task_id: cell.taskId,
+            execution_date: cell.executionDateString,
+            map_index: cell.mapIndex,
+            try_number: cell.taskInstance ? cell.taskInstance.try_number : undefined,
+        };
+        return this.linkTemplates.map(link => ({ label: link.label, url: expandLinkTemplate(link.url, values) }));
+    }
+
+    // Add an action to the context menu of the cells, rows and dates, or replace the action with the
+    // same id, e.g. a built-in one. See taskInstanceActions.js for {id, label, appliesTo, handler}.
+    registerAction(action) {
+        this.actions = this.actions.filter(other => other.id != action.id).concat([action]);
+    }
+
+    unregisterAction(id) {
+        this.actions = this.actions.filter(action => action.id != id);
+    }
+
+    // Load the data again, e.g. after an action changed task instances: from src, or else with the
+    // reload option. Does nothing without either.
+    async reload() {
+        if (this.hasAttribute('src')) {
+            await this.loadSrc(this.getAttribute('src'));
+        } else if (this.reloadData) {
+            try {
+                this.setData(await this.reloadData(this));
+            } catch (error) {
+                this.shadowRoot.querySelector('#message').innerText = `Failed to reload ${this.dagId}: ${error.message}`;
+            }
+        }
+    }
+
+    // Return the target of the actions for a right-clicked cell (type 'cell'), row ('node') or date
+    // ('run'), see taskInstanceActions.js. The cells of a TaskGroup are those of its tasks.
+    actionTarget(type, d) {
+        const cells = type == 'node' ?
+            d.row.flatMap(cell => this.descendantTaskCells(cell)) :
+            this.descendantTaskCells(d);
+        return {
+            type: type,
+            node: type == 'run' ? null : type == 'node' ? d : d.node,
+            executionDate: type == 'node' ? null : d.executionDate,
+            cells: cells,
+            taskInstances: cells.map(cell => this.cellTaskInstance(cell)),
+        };
+    }
+
+    // Open the context menu with the actions that apply to target at x, y. Returns false if there
+    // are none, in which case the menu of the browser can be shown.
+    showContextMenu(target, x, y) {
+        const actions = this.actions.filter(action => !action.appliesTo || action.appliesTo(target, this));
+        if (!actions.length)
+            return false;
+
+        this.hideTooltip();
+        const menu = this.shadowRoot.querySelector('.context-menu');
+        d3.select(menu)
+            .selectAll('li')
+            .data(actions)
+            .join(enter => enter.append('li').attr('role', 'menuitem').attr('tabindex', -1))
+            .text(action => action.label)
+            .on('click', (event, action) => {
+                this.hideContextMenu();
+                this.runAction(action, target);
             });
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        menu.hidden = false;
+        menu.querySelector('li').focus();
+        return true;
+    }
+
+    hideContextMenu() {
+        const menu = this.shadowRoot.querySelector('.context-menu');
+        if (menu.hidden)
+            return;
+        menu.hidden = true;
+        // Back to the tree grid, if the focus was in the menu
+        const svg = this.shadowRoot.querySelector('.tree-container svg');
+        if (svg && menu.contains(this.shadowRoot.activeElement))
+            svg.focus();
+    }
+
+    // The arrow keys move between the items of the context menu, Enter or Space runs one and
+    // Escape closes the menu
+    onContextMenuKey(event) {
+        const items = Array.from(this.shadowRoot.querySelectorAll('.context-menu li'));
+        const index = items.indexOf(this.shadowRoot.activeElement);
+        if (event.key == 'ArrowDown' || event.key == 'ArrowUp')
+            items[(index + (event.key == 'ArrowDown' ? 1 : items.length - 1)) % items.length].focus();
+        else if ((event.key == 'Enter' || event.key == ' ') && index != -1)
+            items[index].click();
+        else if (event.key == 'Escape')
+            this.hideContextMenu();
+        else
+            return;
+        event.preventDefault();
+    }
+
+    // Run an action on the task instances of a target, once confirmed if the action has a confirm
+    // message. Dispatches an 'action' event with {id, task_instances, result} when it's done, or with
+    // {id, task_instances, error} if it or asking for the confirmation failed. Nothing is dispatched
+    // if it isn't confirmed.
+    async runAction(action, target) {
+        const context = { tree: this, target: target };
+        const detail = { id: action.id, task_instances: target.taskInstances };
+        try {
+            if (action.confirm && !(await this.confirm(action.confirm(target.taskInstances, context))))
+                return;
+            detail.result = await action.handler(target.taskInstances, context);
+        } catch (error) {
+            detail.error = error;
+        }
+        this.dispatchEvent(new CustomEvent('action', { bubbles: true, composed: true, detail: detail }));
+    }
+
+    showTooltip(event, rows) {
+        const tooltip = this.shadowRoot.querySelector('.tooltip');
+        renderDetails(tooltip.querySelector('.details'), rows);
+        tooltip.style.left = `${event.clientX + 12}px`;
+        tooltip.style.top = `${event.clientY + 12}px`;
+        tooltip.hidden = false;
+    }
+
+    hideTooltip() {
+        this.shadowRoot.querySelector('.tooltip').hidden = true;
+    }
+
+    // Open the detail panel with [label, value] rows and a list of {label, url} links
+    showDetails(rows, links) {
+        const panel = this.shadowRoot.querySelector('.detail-panel');
+        renderDetails(panel.querySelector('.details'), rows);
+        d3.select(panel.querySelector('.links'))
+            .selectAll('li')
+            .data(links)
+            .join(enter => enter.append('li').call(li => li.append('a').attr('target', '_blank')))
+            .select('a')
+            .attr('href', d => d.url)
+            .text(d => d.label);
+        panel.hidden = false;
+    }
+
+    hideDetails() {
+        this.shadowRoot.querySelector('.detail-panel').hidden = true;
+    }
+
+    // Return {dag_id, task_id, execution_date} of the task instances whose cells match the filter,
+    // with the map_index of those of mapped tasks
+    taskInstancesWhere(filter) {
+        return Array.from(this.cellStateMap.values()).filter(val => filter(val) && val.nodeType == 'BaseOperator')
+            .map(val => this.cellTaskInstance(val));
+    }
+
+    // Return {dag_id, task_id, execution_date} of the task instance of a cell, with its map_index if
+    // it's one of a mapped task
+    cellTaskInstance(cell) {
+        // Same as the execution_date in the cell's id
+        const taskInstance = { dag_id: this.dagId, task_id: cell.taskId, execution_date: cell.executionDate.toJSON() };
+        if (cell.mapIndex !== undefined)
+            taskInstance.map_index = cell.mapIndex;
+        return taskInstance;
+    }
+
+    getIncludedTaskInstances() {
+        return this.taskInstancesWhere(val => val.checked);
+    }
+
+    getExcludedTaskInstances() {
+        return this.taskInstancesWhere(val => !val.checked);
+    }
+
+    // Let listeners know that the checked task instances changed. The lists are
+    // only built when read because they can be large.
+    dispatchSelectionChange() {
+        const tree = this;
+        this.dispatchEvent(new CustomEvent('selectionchange', {
+            bubbles: true,
+            composed: true,
+            detail: {
+                get included() {
+                    return tree.getIncludedTaskInstances();
+                },
+                get excluded() {
+                    return tree.getExcludedTaskInstances();
+                },
+            },
+        }));
     }
 };
 
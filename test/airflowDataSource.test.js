@@ -0,0 +1,85 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect} from 'vitest';
+import {fetchDagData, buildDagData} from '../airflowDataSource.js';
+import {AIRFLOW_FIXTURES, mockAirflowFetch} from '../airflowFixtures.js';
+
+describe('fetchDagData', () => {
+    test('builds the nodes from the recorded responses', async () => {
+        const data = await fetchDagData('example_task_group', { fetch: mockAirflowFetch() });
+        expect(data.dag_id).toBe('example_task_group');
+        expect(data.schedule_interval).toEqual({ __type: 'CronExpression', value: '@daily' });
+        expect(data.nodes.find(node => node.id == 'section_2.inner_section_2')).toEqual({
+            id: 'section_2.inner_section_2',
+            label: 'inner_section_2',
+            group_id: 'section_2',
+        });
+        const task = data.nodes.find(node => node.id == 'section_2.inner_section_2.task_3');
+        expect(task.label).toBe('task_3');
+        expect(task.operator).toBe('BashOperator');
+        expect(task.task_instances.map(ti => ti.state)).toEqual(['success', 'failed', 'success']);
+    });
+
+    test('follows the pagination and sends the headers', async () => {
+        const fetch = mockAirflowFetch();
+        await fetchDagData('example_task_group', {
+            fetch: fetch,
+            baseUrl: 'http://airflow:8080/api/v1/',
+            headers: { Authorization: 'Basic YWRtaW46YWRtaW4=' },
+            runs: 2,
+            pageSize: 10,
+        });
+        const urls = fetch.requests.map(request => request.url);
+        expect(urls[2]).toBe('http://airflow:8080/api/v1/dags/example_task_group/dagRuns?order_by=-execution_date&limit=2&offset=0');
+        // The 18 task instances of the 2 latest runs, 10 at a time
+        expect(urls.filter(url => url.includes('/taskInstances'))).toHaveLength(2);
+        expect(fetch.requests.every(request => request.options.headers.Authorization == 'Basic YWRtaW46YWRtaW4=')).toBe(true);
+    });
+
+    test('keeps paging when the server caps the page size', async () => {
+        // Like an Airflow whose maximum_page_limit is 5
+        const airflowFetch = mockAirflowFetch();
+        const fetch = (url, options) => airflowFetch(url.replace(/limit=(\d+)/, (_, limit) => `limit=${Math.min(limit, 5)}`), options);
+        const data = await fetchDagData('example_task_group', { fetch: fetch, runs: 2 });
+        const taskInstances = data.nodes.reduce((count, node) => count + (node.task_instances || []).length, 0);
+        expect(taskInstances).toBe(18);
+        expect(airflowFetch.requests.filter(request => request.url.includes('/taskInstances'))).toHaveLength(4);
+    });
+
+    test('fails with the status of the API', async () => {
+        await expect(fetchDagData('missing', { fetch: mockAirflowFetch() })).rejects.toThrow('404');
+    });
+});
+
+describe('buildDagData', () => {
+    test('uses the task_group field over the task_id', () => {
+        const fixtures = AIRFLOW_FIXTURES.example_task_group;
+        const tasks = [{ task_id: 'extract', task_group: { group_id: 'etl' }, downstream_task_ids: [] }];
+        const data = buildDagData(fixtures.dag, tasks, [], []);
+        expect(data.nodes).toEqual([
+            { id: 'etl', label: 'etl', group_id: null },
+            { id: 'extract', label: 'extract', group_id: 'etl', operator: undefined, downstream_task_ids: [], task_instances: [] },
+        ]);
+    });
+
+    test('keeps the map_index of the task instances of mapped tasks', () => {
+        const fixtures = AIRFLOW_FIXTURES.example_task_group;
+        const tasks = [{ task_id: 'process', downstream_task_ids: [] }];
+        const dagRuns = [{ execution_date: '2021-04-14T00:00:00+00:00' }];
+        const taskInstances = [0, 1, -1].map(mapIndex => ({ task_id: 'process', execution_date: '2021-04-14T00:00:00+00:00', state: 'success', map_index: mapIndex }));
+        const data = buildDagData(fixtures.dag, tasks, dagRuns, taskInstances);
+        expect(data.nodes[0].task_instances.map(ti => ti.map_index)).toEqual([0, 1, undefined]);
+    });
+});
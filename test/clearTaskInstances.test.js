@@ -0,0 +1,43 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect} from 'vitest';
+import {buildClearRequests} from '../clearTaskInstances.js';
+
+const RUN = '2021-03-18T00:00:00.000Z';
+
+describe('buildClearRequests', () => {
+    test('makes one request per DAG run', () => {
+        const requests = buildClearRequests([
+            { dag_id: 'dag', task_id: 'a', execution_date: RUN },
+            { dag_id: 'dag', task_id: 'b', execution_date: RUN },
+            { dag_id: 'dag', task_id: 'a', execution_date: '2021-03-19T00:00:00.000Z' },
+        ]);
+        expect(requests).toHaveLength(2);
+        expect(requests[0]).toEqual({
+            dagId: 'dag',
+            body: { task_ids: ['a', 'b'], start_date: RUN, end_date: RUN, only_failed: false, include_upstream: false, include_downstream: false, dry_run: true },
+        });
+    });
+
+    test('clears mapped task instances by task_id and map_index', () => {
+        const requests = buildClearRequests([
+            { dag_id: 'dag', task_id: 'process', execution_date: RUN, map_index: 2 },
+            { dag_id: 'dag', task_id: 'process', execution_date: RUN, map_index: 2 },
+            { dag_id: 'dag', task_id: 'process', execution_date: RUN, map_index: 3 },
+        ], { dry_run: false });
+        expect(requests[0].body.task_ids).toEqual([['process', 2], ['process', 3]]);
+        expect(requests[0].body.dry_run).toBe(false);
+    });
+});
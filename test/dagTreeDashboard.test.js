@@ -0,0 +1,61 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach} from 'vitest';
+import {getTestData} from '../testData.js';
+import {DagTreeDashboard} from '../dagTreeDashboard.js';
+import {click, drawnNodeIds} from './mountTree.js';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('dag-tree-dashboard', () => {
+    test('the toolbar collapses and expands the DAGs that could be drawn', async () => {
+        const bad = { dag_id: 'bad', nodes: [{ id: 'a', label: 'a', group_id: 'missing' }] };
+        const dashboard = new DagTreeDashboard([getTestData()[0], bad], { validation: 'strict', transitionDuration: 0 });
+        document.body.appendChild(dashboard);
+        const [tree, badTree] = dashboard.trees;
+        expect(badTree.root).toBeNull();
+
+        click(dashboard.shadowRoot.querySelector('.collapse-all'));
+        expect(drawnNodeIds(tree)).toEqual(['[DAG]']);
+
+        click(dashboard.shadowRoot.querySelector('.expand-all'));
+        dashboard.setDagCollapsed('bad', true);
+        expect(drawnNodeIds(tree)).toContain('section_1');
+    });
+
+    test('a DAG without nodes is reported by its tree while the others are drawn', async () => {
+        const dashboard = new DagTreeDashboard([getTestData()[0], { dag_id: 'bad', nodes: null }], { transitionDuration: 0 });
+        document.body.appendChild(dashboard);
+        const [tree, badTree] = dashboard.trees;
+        expect(drawnNodeIds(tree)).toContain('section_1');
+        expect(badTree.root).toBeNull();
+        expect(badTree.shadowRoot.querySelector('#message').textContent).toContain("Can't draw bad");
+    });
+
+    test('only the timezone switcher of the dashboard lists the IANA zones', async () => {
+        const dashboard = new DagTreeDashboard(getTestData(), { timezone: 'Asia/Tokyo', transitionDuration: 0 });
+        document.body.appendChild(dashboard);
+        const select = dashboard.shadowRoot.querySelector('.timezone');
+        select.dispatchEvent(new Event('focus'));
+        select.value = 'Europe/Paris';
+        select.dispatchEvent(new Event('change'));
+
+        const [tree] = dashboard.trees;
+        expect(tree.timezone).toBe('Europe/Paris');
+        expect(tree.shadowRoot.querySelector('.timezone').options.length).toBe(2);
+    });
+});
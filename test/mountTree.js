@@ -0,0 +1,85 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Mounting a TaskInstanceTree in the headless DOM of the tests and clicking around in it
+
+import moment from 'moment';
+import {getTestData} from '../testData.js';
+import {TaskInstanceTree} from '../taskInstanceTree.js';
+import {rectId} from '../treeUtils.js';
+
+// The first two runs of the DAG of getTestData()
+export const FIRST_RUN = '2021-03-18T00:00:00+00:00';
+export const SECOND_RUN = '2021-03-19T00:00:00+00:00';
+
+// The trees of the tests draw every change at once, so only the promises and timers of what was
+// done (e.g. an action, or loading src) are left to wait for
+export function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Add a tree for data (the DAG of getTestData() by default) to the document and wait until it's drawn
+export async function mountTree(data = getTestData()[0], options = {}) {
+    const tree = new TaskInstanceTree(data.dag_id, data.nodes, Object.assign({ scheduleInterval: data.schedule_interval, transitionDuration: 0 }, options));
+    document.body.appendChild(tree);
+    await settle();
+    return tree;
+}
+
+export function click(element, init = {}) {
+    element.dispatchEvent(new MouseEvent('click', Object.assign({ bubbles: true, cancelable: true }, init)));
+}
+
+// Right-click, which opens the context menu
+export function rightClick(element) {
+    const event = new MouseEvent('contextmenu', { bubbles: true, cancelable: true, clientX: 10, clientY: 10 });
+    element.dispatchEvent(event);
+    return event;
+}
+
+// The labels of the items of the open context menu
+export function menuItems(tree) {
+    const menu = tree.shadowRoot.querySelector('.context-menu');
+    return menu.hidden ? [] : Array.from(menu.querySelectorAll('li')).map(li => li.textContent);
+}
+
+// The cell of a task or TaskGroup on an execution_date
+export function cellOf(tree, nodeId, executionDate) {
+    return tree.cellStateMap.get(rectId(nodeId, moment.parseZone(executionDate).toJSON()));
+}
+
+// The rect drawn for cellOf()
+export function rectOf(tree, nodeId, executionDate) {
+    return tree.shadowRoot.querySelector(`#${cellOf(tree, nodeId, executionDate).domId}`);
+}
+
+// The circle of a node, which expands or collapses it
+export function circleOf(tree, nodeId) {
+    return tree.shadowRoot.querySelector(`#${tree.nodeMap.get(nodeId).domId} circle`);
+}
+
+// The label of a node, which checks or unchecks its row
+export function labelOf(tree, nodeId) {
+    return tree.shadowRoot.querySelector(`#${tree.nodeMap.get(nodeId).domId} text.label`);
+}
+
+// The label of a date on the axis, which checks or unchecks its run
+export function axisLabelOf(tree, executionDate) {
+    return Array.from(tree.shadowRoot.querySelectorAll('text.axis-label')).find(text => text.__data__.executionDateString == executionDate);
+}
+
+// The ids of the nodes drawn, in order
+export function drawnNodeIds(tree) {
+    return Array.from(tree.shadowRoot.querySelectorAll('g.task-node')).map(g => g.__data__.id);
+}
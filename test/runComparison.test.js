@@ -0,0 +1,90 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach} from 'vitest';
+import {compareTaskInstances} from '../runComparison.js';
+import {mountTree, click, axisLabelOf, drawnNodeIds, FIRST_RUN, SECOND_RUN} from './mountTree.js';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('compareTaskInstances', () => {
+    test('returns the state, duration and try_number that differ', () => {
+        expect(compareTaskInstances(
+            { state: 'success', duration: 10, try_number: 1 },
+            { state: 'failed', duration: 30, try_number: 2 },
+        )).toEqual({ state: ['success', 'failed'], duration: [10, 30], try_number: [1, 2] });
+    });
+
+    test('durations within the tolerance are the same', () => {
+        expect(compareTaskInstances({ state: 'success', duration: 100 }, { state: 'success', duration: 95 })).toBeNull();
+        expect(compareTaskInstances({ state: 'success', duration: 100 }, { state: 'success', duration: 95 }, 0.01)).toEqual({ duration: [100, 95] });
+    });
+
+    test('a missing task instance has null values', () => {
+        expect(compareTaskInstances(undefined, { state: 'success' })).toEqual({ state: [null, 'success'] });
+        expect(compareTaskInstances(undefined, undefined)).toBeNull();
+    });
+});
+
+describe('comparing runs', () => {
+    const run = (executionDate, state, duration, tryNumber = 1) => ({ execution_date: executionDate, state: state, duration: duration, try_number: tryNumber });
+    const COMPARED_DAG = {
+        dag_id: 'compared',
+        nodes: [
+            { id: 'group', label: 'group', group_id: null },
+            { id: 'group.a', label: 'a', group_id: 'group', task_instances: [run(FIRST_RUN, 'success', 10), run(SECOND_RUN, 'failed', 10, 2)] },
+            { id: 'group.b', label: 'b', group_id: 'group', task_instances: [run(FIRST_RUN, 'success', 10), run(SECOND_RUN, 'success', 10)] },
+            { id: 'c', label: 'c', group_id: null, task_instances: [run(FIRST_RUN, 'success', 100), run(SECOND_RUN, 'success', 95)] },
+        ],
+    };
+
+    test('compareRuns returns the differences and only shows the tasks that differ', async () => {
+        const tree = await mountTree(COMPARED_DAG);
+        const diff = tree.compareRuns(FIRST_RUN, SECOND_RUN);
+        expect(diff).toEqual({
+            dag_id: 'compared',
+            execution_dates: ['2021-03-18T00:00:00.000Z', '2021-03-19T00:00:00.000Z'],
+            tasks: [{ task_id: 'group.a', changes: { state: ['success', 'failed'], try_number: [1, 2] } }],
+            task_groups: ['group'],
+        });
+        expect(drawnNodeIds(tree)).toEqual(['[DAG]', 'group', 'group.a']);
+        expect(tree.root.descendants().find(node => node.id == 'group').differs).toBe(true);
+        expect(tree.shadowRoot.querySelector(`#${tree.nodeMap.get('group').domId}`).classList.contains('differs')).toBe(true);
+        expect(tree.shadowRoot.querySelector('.end-comparison').hidden).toBe(false);
+
+        tree.endComparison();
+        expect(drawnNodeIds(tree).sort()).toEqual(['[DAG]', 'c', 'group', 'group.a', 'group.b']);
+        expect(tree.shadowRoot.querySelector('.end-comparison').hidden).toBe(true);
+    });
+
+    test('ctrl-clicking two dates compares their runs side by side', async () => {
+        const tree = await mountTree();
+        const label = date => axisLabelOf(tree, date);
+        click(label(FIRST_RUN), { ctrlKey: true });
+        expect(label(FIRST_RUN).classList.contains('compare-pick')).toBe(true);
+        expect(tree.getExcludedTaskInstances()).toEqual([]);
+
+        click(label('2021-03-20T00:00:00+00:00'), { ctrlKey: true });
+        expect(tree.comparison.diff.execution_dates).toEqual(['2021-03-18T00:00:00.000Z', '2021-03-20T00:00:00.000Z']);
+        expect(tree.layout.executionDates).toHaveLength(2);
+    });
+
+    test('unknown dates return null', async () => {
+        const tree = await mountTree(COMPARED_DAG);
+        expect(tree.compareRuns(FIRST_RUN, '2000-01-01T00:00:00+00:00')).toBeNull();
+        expect(tree.comparison).toBeNull();
+    });
+});
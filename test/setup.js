@@ -0,0 +1,20 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// What happy-dom lacks for d3 to run the transitions of the tree
+
+// d3-interpolate reads the current transform of an svg element with SVGTransformList.consolidate().
+// Returning null makes the transitions start from no transform, which doesn't change where they end.
+if (!SVGTransformList.prototype.consolidate)
+    SVGTransformList.prototype.consolidate = () => null;
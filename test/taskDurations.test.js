@@ -0,0 +1,127 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach, vi} from 'vitest';
+import {taskInstanceTiming, groupTiming, criticalPath, timingBar} from '../taskDurations.js';
+import {mountTree, click, cellOf, rectOf, circleOf, drawnNodeIds, FIRST_RUN} from './mountTree.js';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('timings', () => {
+    test('of a task instance', () => {
+        expect(taskInstanceTiming({ start_date: '2021-01-01T00:00:00+00:00', end_date: '2021-01-01T00:01:00+00:00' })).toEqual({
+            start: Date.UTC(2021, 0, 1),
+            end: Date.UTC(2021, 0, 1, 0, 1),
+            duration: 60,
+            total: 60,
+        });
+        expect(taskInstanceTiming({}).duration).toBeUndefined();
+    });
+
+    test('the critical path follows the dependencies', () => {
+        const durations = new Map([['a', 10], ['b', 5], ['c', 20], ['d', 1]]);
+        // a >> [b, c] >> d
+        const upstream = new Map([['b', new Set(['a'])], ['c', new Set(['a'])], ['d', new Set(['b', 'c'])]]);
+        expect(criticalPath(durations, upstream)).toBe(31);
+        expect(criticalPath(durations, new Map())).toBe(20);
+    });
+
+    test('the critical path stops at cycles', () => {
+        const upstream = new Map([['a', new Set(['b'])], ['b', new Set(['a'])]]);
+        expect(criticalPath(new Map([['a', 1], ['b', 2]]), upstream)).toBe(3);
+    });
+
+    test('of a TaskGroup', () => {
+        const timings = new Map([
+            ['a', { start: 1000, end: 3000, duration: 2, total: 2 }],
+            ['b', { start: 4000, end: 9000, duration: 5, total: 5 }],
+            ['c', { start: undefined, end: undefined, duration: undefined, total: undefined }],
+        ]);
+        expect(groupTiming(timings, new Map([['b', new Set(['a'])]]))).toEqual({ start: 1000, end: 9000, duration: 7, total: 7 });
+        expect(groupTiming(timings, new Map()).duration).toBe(5);
+    });
+});
+
+describe('timingBar', () => {
+    test('the duration view draws bars as high as the durations relative to the row', () => {
+        expect(timingBar('duration', { duration: 5 }, 20, null)).toEqual({ x: 0, y: 0.75, width: 1, height: 0.25 });
+        expect(timingBar('duration', { duration: undefined }, 20, null)).toBeNull();
+    });
+
+    test('the Gantt view places the bars within the DAG run', () => {
+        const run = { start: 1000, end: 5000 };
+        expect(timingBar('gantt', { start: 2000, end: 3000 }, 0, run)).toEqual({ x: 0.25, y: 0, width: 0.25, height: 1 });
+        expect(timingBar('gantt', { start: undefined }, 0, run)).toBeNull();
+    });
+
+    test('the status view has no bars', () => {
+        expect(timingBar('status', { duration: 5, start: 0, end: 1 }, 5, { start: 0, end: 1 })).toBeNull();
+    });
+});
+
+describe('cell views', () => {
+    test('the duration and Gantt views draw bars over the cells', async () => {
+        const tree = await mountTree();
+        tree.setCellView('duration');
+        expect(tree.shadowRoot.querySelector('svg').classList.contains('timing-view')).toBe(true);
+        const bar = Array.from(tree.shadowRoot.querySelectorAll('rect.timing-bar')).find(rect => rect.__data__ === cellOf(tree, 'start', FIRST_RUN));
+        expect(bar.getAttribute('class')).toBe('timing-bar state-success');
+
+        tree.setAttribute('cell-view', 'gantt');
+        expect(tree.shadowRoot.querySelector('.cell-view').value).toBe('gantt');
+        expect(tree.shadowRoot.querySelectorAll('rect.timing-bar').length).toBeGreaterThan(0);
+    });
+
+    test('switching views keeps the expanded TaskGroups and the selection', async () => {
+        const tree = await mountTree();
+        click(circleOf(tree, 'section_1'));
+        click(rectOf(tree, 'start', FIRST_RUN));
+        tree.setCellView('duration');
+        tree.setCellView('status');
+        expect(drawnNodeIds(tree)).toContain('section_1.task_1');
+        expect(tree.getExcludedTaskInstances()).toHaveLength(1);
+        expect(tree.shadowRoot.querySelectorAll('rect.timing-bar')).toHaveLength(0);
+    });
+
+    test('unknown views show the status', async () => {
+        const tree = await mountTree(undefined, { cellView: 'foo' });
+        expect(tree.cellView).toBe('status');
+        tree.setCellView('duration');
+        tree.setAttribute('cell-view', 'bar');
+        expect(tree.cellView).toBe('status');
+        expect(tree.shadowRoot.querySelector('.cell-view').value).toBe('status');
+        expect(tree.shadowRoot.querySelectorAll('rect.timing-bar')).toHaveLength(0);
+    });
+
+    test('the bars of running task instances keep growing', async () => {
+        const start = Date.parse('2021-03-18T00:00:00Z');
+        const now = vi.spyOn(Date, 'now').mockReturnValue(start + 60000);
+        const tree = await mountTree({
+            dag_id: 'running',
+            nodes: [
+                { id: 'group', label: 'group', group_id: null },
+                { id: 'group.a', label: 'a', group_id: 'group', task_instances: [{ execution_date: FIRST_RUN, state: 'running', start_date: FIRST_RUN }] },
+            ],
+        }, { cellView: 'gantt' });
+        expect(tree.cellTiming(cellOf(tree, 'group.a', FIRST_RUN)).end).toBe(start + 60000);
+        expect(tree.cellTiming(cellOf(tree, 'group', FIRST_RUN)).end).toBe(start + 60000);
+
+        now.mockReturnValue(start + 120000);
+        expect(tree.cellTiming(cellOf(tree, 'group.a', FIRST_RUN)).end).toBe(start + 120000);
+        expect(tree.cellTiming(cellOf(tree, 'group', FIRST_RUN)).end).toBe(start + 120000);
+        now.mockRestore();
+    });
+});
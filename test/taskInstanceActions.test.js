@@ -0,0 +1,150 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach, vi} from 'vitest';
+import {getTestData} from '../testData.js';
+import {fetchDagData} from '../airflowDataSource.js';
+import {mockAirflowFetch} from '../airflowFixtures.js';
+import {AirflowApiError} from '../airflowApi.js';
+import {mountTree, settle, click, rightClick, menuItems, cellOf, rectOf, circleOf, axisLabelOf, FIRST_RUN, SECOND_RUN} from './mountTree.js';
+
+// The first run of the recorded responses of airflowFixtures.js
+const AIRFLOW_RUN = '2021-04-14T00:00:00+00:00';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('context menu', () => {
+    test('right-clicking a TaskGroup cell offers the actions on its task instances', async () => {
+        const tree = await mountTree();
+        const calls = [];
+        tree.registerAction({ id: 'inspect', label: 'Inspect', handler: (taskInstances, context) => calls.push([taskInstances, context.target.type]) });
+        const event = rightClick(rectOf(tree, 'section_1', FIRST_RUN));
+        expect(event.defaultPrevented).toBe(true);
+        // No log for a TaskGroup
+        expect(menuItems(tree)).toEqual(['Mark success', 'Mark failed', 'Clear', 'Clear with downstream', 'Inspect']);
+
+        click(tree.shadowRoot.querySelector('.context-menu li:last-child'));
+        await settle();
+        expect(menuItems(tree)).toEqual([]);
+        expect(calls).toHaveLength(1);
+        expect(calls[0][0].map(ti => ti.task_id).sort()).toEqual(['section_1.task_1', 'section_1.task_2', 'section_1.task_3']);
+        expect(calls[0][0].every(ti => ti.execution_date == '2021-03-18T00:00:00.000Z')).toBe(true);
+        expect(calls[0][1]).toBe('cell');
+    });
+
+    test('a task instance can show its log, and a row targets all of its runs', async () => {
+        const tree = await mountTree();
+        rightClick(rectOf(tree, 'start', FIRST_RUN));
+        expect(menuItems(tree)).toContain('View log');
+
+        tree.hideContextMenu();
+        const target = tree.actionTarget('node', tree.nodeMap.get('section_2'));
+        expect(target.taskInstances).toHaveLength(4 * 30);
+        expect(target.executionDate).toBe(null);
+    });
+
+    test('registered actions replace the built-in ones and dispatch action events', async () => {
+        const tree = await mountTree();
+        const events = [];
+        tree.addEventListener('action', event => events.push(event.detail));
+        tree.registerAction({ id: 'clear', label: 'Clear here', handler: () => 'cleared' });
+        tree.registerAction({ id: 'broken', label: 'Broken', handler: () => { throw new Error('broken'); } });
+        tree.unregisterAction('mark-failed');
+        rightClick(rectOf(tree, 'end', SECOND_RUN));
+        expect(menuItems(tree)).toEqual(['Mark success', 'Clear with downstream', 'View log', 'Clear here', 'Broken']);
+
+        const items = tree.shadowRoot.querySelectorAll('.context-menu li');
+        click(items[3]);
+        await settle();
+        expect(events[0]).toEqual({
+            id: 'clear',
+            task_instances: [{ dag_id: 'example_task_group', task_id: 'end', execution_date: '2021-03-19T00:00:00.000Z' }],
+            result: 'cleared',
+        });
+
+        rightClick(rectOf(tree, 'end', SECOND_RUN));
+        click(tree.shadowRoot.querySelectorAll('.context-menu li')[4]);
+        await settle();
+        expect(events[1].error.message).toBe('broken');
+    });
+
+    test('the built-in actions ask first, call the api and reload the tree', async () => {
+        const api = { fetch: mockAirflowFetch() };
+        const questions = [];
+        const data = await fetchDagData('example_task_group', api);
+        const tree = await mountTree(data, {
+            api: api,
+            reload: () => fetchDagData('example_task_group', api),
+            confirm: question => questions.push(question),
+        });
+        expect(cellOf(tree, 'start', AIRFLOW_RUN).state).toBe('success');
+
+        rightClick(axisLabelOf(tree, AIRFLOW_RUN));
+        click(tree.shadowRoot.querySelectorAll('.context-menu li')[2]);
+        await settle();
+        expect(questions).toEqual(['Clear 9 task instances of example_task_group?']);
+        const posts = api.fetch.requests.filter(request => request.options.method == 'POST');
+        expect(posts.map(request => request.url)).toEqual(['/api/v1/dags/example_task_group/clearTaskInstances']);
+        expect(JSON.parse(posts[0].options.body).dry_run).toBe(false);
+        expect(cellOf(tree, 'start', AIRFLOW_RUN).state).toBe('no_status');
+    });
+
+    test('nothing is done unless confirmed', async () => {
+        const fetch = vi.fn();
+        const tree = await mountTree(undefined, { api: { fetch }, confirm: () => false });
+        const events = [];
+        tree.addEventListener('action', event => events.push(event.detail));
+        rightClick(circleOf(tree, '[DAG]'));
+        expect(menuItems(tree)[0]).toBe('Mark success');
+        click(tree.shadowRoot.querySelector('.context-menu li'));
+        await settle();
+        expect(fetch).not.toHaveBeenCalled();
+        expect(events).toEqual([]);
+    });
+
+    test('a failed confirmation is reported in the action event', async () => {
+        const fetch = vi.fn();
+        const tree = await mountTree(undefined, { api: { fetch }, confirm: async () => { throw new Error('dialog closed'); } });
+        const events = [];
+        tree.addEventListener('action', event => events.push(event.detail));
+        rightClick(circleOf(tree, 'start'));
+        click(tree.shadowRoot.querySelector('.context-menu li'));
+        await settle();
+        expect(fetch).not.toHaveBeenCalled();
+        expect(events[0].id).toBe('mark-success');
+        expect(events[0].error.message).toBe('dialog closed');
+    });
+
+    test('a failed request reloads the tree and reports what was changed before', async () => {
+        let posts = 0;
+        const fetch = async () => ++posts == 2 ?
+            { ok: false, status: 500, statusText: 'INTERNAL SERVER ERROR' } :
+            { ok: true, json: async () => ({ task_instances: [] }) };
+        const reload = vi.fn(() => getTestData()[0]);
+        const tree = await mountTree(undefined, { api: { fetch }, reload, confirm: () => true });
+        const events = [];
+        tree.addEventListener('action', event => events.push(event.detail));
+        rightClick(circleOf(tree, 'start'));
+        click(tree.shadowRoot.querySelector('.context-menu li'));
+        await settle();
+        expect(posts).toBe(2);
+        expect(reload).toHaveBeenCalledTimes(1);
+        expect(events[0].task_instances).toHaveLength(30);
+        expect(events[0].error).toBeInstanceOf(AirflowApiError);
+        expect(events[0].error.status).toBe(500);
+        expect(events[0].error.responses).toEqual([{ task_instances: [] }]);
+    });
+});
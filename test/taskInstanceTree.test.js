@@ -0,0 +1,250 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach} from 'vitest';
+import {getTestData} from '../testData.js';
+import {mountTree, click, cellOf, rectOf, circleOf, labelOf, axisLabelOf, drawnNodeIds, FIRST_RUN, SECOND_RUN} from './mountTree.js';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('drawing', () => {
+    test('expands the first level of TaskGroups', async () => {
+        const tree = await mountTree();
+        expect(drawnNodeIds(tree).sort()).toEqual(['[DAG]', 'end', 'section_1', 'section_2', 'start']);
+        expect(tree.shadowRoot.querySelectorAll('rect.task-instance-rect')).toHaveLength(2 * 30);
+        expect(tree.shadowRoot.querySelectorAll('rect.task-group-rect')).toHaveLength(3 * 30);
+    });
+
+    test('colors the cells by state', async () => {
+        const tree = await mountTree();
+        expect(rectOf(tree, 'start', FIRST_RUN).getAttribute('class')).toBe('task-instance-rect state-success');
+    });
+
+    test('shows the problems of bad data in strict mode', async () => {
+        const tree = await mountTree({ dag_id: 'bad', nodes: [{ id: 'a', label: 'a', group_id: 'missing' }] }, { validation: 'strict' });
+        expect(tree.shadowRoot.querySelector('#message').textContent).toContain("Can't draw bad");
+        expect(tree.shadowRoot.querySelectorAll('.problems li').length).toBeGreaterThan(0);
+        expect(tree.shadowRoot.querySelector('svg')).toBeNull();
+    });
+
+    test('draws a list of nodes set without a dag-id', async () => {
+        const tree = document.createElement('task-instance-tree');
+        tree.transitionDuration = 0;
+        document.body.appendChild(tree);
+        tree.data = getTestData()[0].nodes;
+        expect(tree.shadowRoot.querySelector('#message').textContent).not.toContain("Can't draw");
+        expect(labelOf(tree, '[DAG]').textContent).toContain('DAG');
+        expect(drawnNodeIds(tree)).toContain('section_1');
+    });
+
+    test('setData reports data that is not a list of nodes or a DAG', async () => {
+        const tree = await mountTree();
+        tree.setData(null);
+        expect(tree.shadowRoot.querySelector('#message').textContent).toContain("Can't draw example_task_group");
+        expect(tree.shadowRoot.querySelector('svg')).toBeNull();
+
+        tree.setData({ dag_id: 'example_task_group', nodes: 'start' });
+        expect(tree.shadowRoot.querySelector('#message').textContent).toContain('The nodes are not a list');
+    });
+
+    test('appendRuns adds runs and ignores them until there is data', async () => {
+        const empty = document.createElement('task-instance-tree');
+        document.body.appendChild(empty);
+        empty.appendRuns([{ task_id: 'start', execution_date: FIRST_RUN, state: 'failed' }]);
+        expect(empty.nodes).toBeFalsy();
+
+        const tree = await mountTree();
+        tree.appendRuns([
+            { task_id: 'start', execution_date: FIRST_RUN, state: 'failed' },
+            { task_id: 'unknown', execution_date: FIRST_RUN, state: 'failed' },
+        ]);
+        expect(cellOf(tree, 'start', FIRST_RUN).state).toBe('failed');
+    });
+});
+
+describe('expanding and collapsing', () => {
+    test('clicking the circle of a TaskGroup toggles it', async () => {
+        const tree = await mountTree();
+        click(circleOf(tree, 'section_1'));
+        expect(drawnNodeIds(tree)).toContain('section_1.task_1');
+        expect(tree.shadowRoot.querySelector(`#${tree.nodeMap.get('section_1').domId}`).getAttribute('aria-expanded')).toBe('true');
+
+        click(circleOf(tree, 'section_1'));
+        expect(drawnNodeIds(tree)).not.toContain('section_1.task_1');
+    });
+
+    test('collapsing the DAG leaves only its summary row', async () => {
+        const tree = await mountTree();
+        click(circleOf(tree, '[DAG]'));
+        expect(drawnNodeIds(tree)).toEqual(['[DAG]']);
+    });
+
+    test('expandAll, collapseAll and expandToDepth', async () => {
+        const tree = await mountTree();
+        tree.expandAll();
+        expect(drawnNodeIds(tree)).toHaveLength(13);
+
+        tree.collapseAll();
+        expect(drawnNodeIds(tree).sort()).toEqual(['[DAG]', 'end', 'section_1', 'section_2', 'start']);
+
+        tree.expandToDepth(2);
+        expect(drawnNodeIds(tree)).toContain('section_2.inner_section_2');
+        expect(drawnNodeIds(tree)).not.toContain('section_2.inner_section_2.task_2');
+
+        tree.expandToDepth(0);
+        expect(drawnNodeIds(tree)).toEqual(['[DAG]']);
+    });
+
+    test('expandPath expands the TaskGroups containing a task', async () => {
+        const tree = await mountTree();
+        expect(tree.expandPath('section_2.inner_section_2.task_2')).toBe(true);
+        expect(drawnNodeIds(tree)).toContain('section_2.inner_section_2.task_2');
+        expect(drawnNodeIds(tree)).not.toContain('section_1.task_1');
+        expect(tree.expandPath('missing')).toBe(false);
+    });
+
+    test('alt-click toggles a whole subtree and dispatches toggle events', async () => {
+        const tree = await mountTree();
+        const events = [];
+        tree.addEventListener('toggle', event => events.push(event.detail));
+
+        click(circleOf(tree, 'section_2'), { altKey: true });
+        expect(drawnNodeIds(tree)).toContain('section_2.inner_section_2.task_2');
+        expect(events.map(detail => [detail.id, detail.expanded])).toEqual([['section_2', true], ['section_2.inner_section_2', true]]);
+
+        click(circleOf(tree, 'section_2'), { altKey: true });
+        expect(drawnNodeIds(tree)).not.toContain('section_2.task_1');
+        expect(tree.nodeMap.get('section_2.inner_section_2').children).toBeNull();
+    });
+
+    test('the toolbar expands to a level', async () => {
+        const tree = await mountTree();
+        const levels = tree.shadowRoot.querySelector('.expand-level');
+        expect(Array.from(levels.options).map(option => option.textContent)).toEqual(['Expand to…', 'Level 1', 'Level 2']);
+        levels.value = '2';
+        levels.dispatchEvent(new Event('change'));
+        expect(drawnNodeIds(tree)).toContain('section_1.task_1');
+        expect(levels.value).toBe('');
+    });
+});
+
+describe('mapped tasks', () => {
+    const MAPPED_DAG = {
+        dag_id: 'mapped',
+        nodes: [
+            { id: 'start', label: 'start', group_id: null, task_instances: [{ execution_date: FIRST_RUN, state: 'success' }] },
+            { id: 'process', label: 'process', group_id: null, task_instances: [0, 1, 2, 3].map(mapIndex => ({
+                execution_date: FIRST_RUN,
+                map_index: mapIndex,
+                state: mapIndex == 3 ? 'failed' : 'success',
+            })) },
+        ],
+    };
+
+    test('a mapped task summarizes its runs and expands into a row per map_index', async () => {
+        const tree = await mountTree(MAPPED_DAG);
+        expect(drawnNodeIds(tree)).not.toContain('process[0]');
+        expect(rectOf(tree, 'process', FIRST_RUN).getAttribute('aria-label')).toBe('process, 2021-03-18T00:00:00+00:00, 1/4 failed');
+
+        click(circleOf(tree, 'process'));
+        expect(drawnNodeIds(tree)).toEqual(['[DAG]', 'start', 'process', 'process[0]', 'process[1]', 'process[2]', 'process[3]']);
+    });
+
+    test('the task instances returned have their map_index', async () => {
+        const tree = await mountTree(MAPPED_DAG);
+        tree.setExpanded('process', true);
+        click(rectOf(tree, 'process[3]', FIRST_RUN));
+        expect(tree.getExcludedTaskInstances()).toEqual([
+            { dag_id: 'mapped', task_id: 'process', execution_date: '2021-03-18T00:00:00.000Z', map_index: 3 },
+        ]);
+        expect(cellOf(tree, 'process', FIRST_RUN).indeterminate).toBe(true);
+
+        tree.appendRuns([{ task_id: 'process', execution_date: FIRST_RUN, map_index: 3, state: 'success' }]);
+        expect(cellOf(tree, 'process', FIRST_RUN).state).toBe('success');
+        expect(cellOf(tree, 'process[3]', FIRST_RUN).checked).toBe(false);
+        expect(tree.getIncludedTaskInstances()).toHaveLength(4);
+    });
+});
+
+describe('selection', () => {
+    test('clicking a task instance unchecks it', async () => {
+        const tree = await mountTree();
+        click(rectOf(tree, 'start', FIRST_RUN));
+        expect(cellOf(tree, 'start', FIRST_RUN).checked).toBe(false);
+        expect(rectOf(tree, 'start', FIRST_RUN).classList.contains('rect-unchecked')).toBe(true);
+        expect(tree.getExcludedTaskInstances()).toEqual([
+            { dag_id: 'example_task_group', task_id: 'start', execution_date: '2021-03-18T00:00:00.000Z' },
+        ]);
+        expect(tree.getIncludedTaskInstances()).toHaveLength(9 * 30 - 1);
+
+        click(rectOf(tree, 'start', FIRST_RUN));
+        expect(tree.getExcludedTaskInstances()).toEqual([]);
+    });
+
+    test('clicking a TaskGroup cell unchecks its tasks and rolls up to the DAG', async () => {
+        const tree = await mountTree();
+        click(rectOf(tree, 'section_1', FIRST_RUN));
+        expect(tree.getExcludedTaskInstances().map(ti => ti.task_id).sort()).toEqual(['section_1.task_1', 'section_1.task_2', 'section_1.task_3']);
+        expect(cellOf(tree, 'section_1', SECOND_RUN).checked).toBe(true);
+        const dagCell = cellOf(tree, '[DAG]', FIRST_RUN);
+        expect(dagCell.indeterminate).toBe(true);
+        expect(rectOf(tree, '[DAG]', FIRST_RUN).classList.contains('rect-indeterminate')).toBe(true);
+    });
+
+    test('shift-clicking checks the cells between the anchor and the cell like the anchor', async () => {
+        const tree = await mountTree();
+        click(rectOf(tree, 'start', FIRST_RUN));
+        click(rectOf(tree, 'end', SECOND_RUN), { shiftKey: true });
+        expect(tree.getExcludedTaskInstances()).toHaveLength(2 * 2);
+        expect(cellOf(tree, 'end', FIRST_RUN).checked).toBe(false);
+    });
+
+    test('clicking a label toggles the row', async () => {
+        const tree = await mountTree();
+        click(labelOf(tree, 'start'));
+        expect(tree.getExcludedTaskInstances()).toHaveLength(30);
+        expect(tree.getExcludedTaskInstances().every(ti => ti.task_id == 'start')).toBe(true);
+    });
+
+    test('clicking a date toggles the DAG run', async () => {
+        const tree = await mountTree();
+        click(axisLabelOf(tree, FIRST_RUN));
+        expect(tree.getExcludedTaskInstances()).toHaveLength(9);
+        expect(new Set(tree.getExcludedTaskInstances().map(ti => ti.execution_date))).toEqual(new Set(['2021-03-18T00:00:00.000Z']));
+    });
+
+    test('dispatches selectionchange with the checked and unchecked task instances', async () => {
+        const tree = await mountTree();
+        const events = [];
+        tree.addEventListener('selectionchange', event => events.push(event.detail));
+        click(rectOf(tree, 'end', SECOND_RUN));
+        expect(events).toHaveLength(1);
+        expect(events[0].excluded).toEqual([
+            { dag_id: 'example_task_group', task_id: 'end', execution_date: '2021-03-19T00:00:00.000Z' },
+        ]);
+        expect(events[0].included).toHaveLength(9 * 30 - 1);
+    });
+
+    test('setData keeps the unchecked task instances and expanded TaskGroups', async () => {
+        const tree = await mountTree();
+        click(circleOf(tree, 'section_2'));
+        click(rectOf(tree, 'start', FIRST_RUN));
+
+        tree.setData(getTestData()[0]);
+        expect(cellOf(tree, 'start', FIRST_RUN).checked).toBe(false);
+        expect(drawnNodeIds(tree)).toContain('section_2.task_1');
+    });
+});
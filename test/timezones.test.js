@@ -0,0 +1,105 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach} from 'vitest';
+import moment from 'moment';
+import {isValidTimezone, timezoneOffset, dateFormatter} from '../timezones.js';
+import {getTestData} from '../testData.js';
+import {mountTree, click, rectOf, axisLabelOf, FIRST_RUN} from './mountTree.js';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('isValidTimezone', () => {
+    test('accepts UTC, local and IANA zones', () => {
+        expect(isValidTimezone('UTC')).toBe(true);
+        expect(isValidTimezone('local')).toBe(true);
+        expect(isValidTimezone('Asia/Tokyo')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+});
+
+describe('timezoneOffset', () => {
+    test('follows daylight saving time', () => {
+        expect(timezoneOffset('UTC', Date.parse('2021-07-01T00:00:00Z'))).toBe(0);
+        expect(timezoneOffset('America/New_York', Date.parse('2021-01-01T00:00:00Z'))).toBe(-300);
+        expect(timezoneOffset('America/New_York', Date.parse('2021-07-01T00:00:00Z'))).toBe(-240);
+        expect(timezoneOffset('Asia/Kolkata', Date.parse('2021-07-01T00:00:00Z'))).toBe(330);
+    });
+
+    test('local is the offset of the browser', () => {
+        const time = Date.parse('2021-03-18T00:00:00Z');
+        expect(timezoneOffset('local', time)).toBe(-new Date(time).getTimezoneOffset());
+    });
+});
+
+describe('dateFormatter', () => {
+    test('formats strings and moments in the zone', () => {
+        const format = dateFormatter('Europe/Paris');
+        expect(format('2021-03-18T23:00:00+00:00')).toBe('2021-03-19T00:00:00+01:00');
+        expect(format(moment.parseZone('2021-03-18T23:00:00+00:00'), 'YYYYMMDD')).toBe('20210319');
+        expect(format('2021-07-01T12:00:00.123456+00:00', 'HH:mm')).toBe('14:00');
+    });
+
+    test('leaves unparseable dates as they are', () => {
+        expect(dateFormatter('UTC')('not a date')).toBe('not a date');
+    });
+});
+
+describe('the timezone of a tree', () => {
+    test('the dates are shown in the timezone but the task instances keep theirs', async () => {
+        const tree = await mountTree(getTestData()[0], { timezone: 'America/New_York' });
+        const label = () => axisLabelOf(tree, FIRST_RUN);
+        expect(label().textContent).toBe('20210317');
+        expect(rectOf(tree, 'start', FIRST_RUN).getAttribute('aria-label')).toBe('start, 2021-03-17T20:00:00-04:00, success');
+
+        click(rectOf(tree, 'start', FIRST_RUN));
+        expect(tree.getExcludedTaskInstances()).toEqual([
+            { dag_id: 'example_task_group', task_id: 'start', execution_date: '2021-03-18T00:00:00.000Z' },
+        ]);
+
+        tree.setAttribute('timezone', 'UTC');
+        expect(tree.shadowRoot.querySelector('.timezone').value).toBe('UTC');
+        expect(label().textContent).toBe('20210318');
+    });
+
+    test('the switcher lists every zone once used and keeps the configured one', async () => {
+        const tree = await mountTree(getTestData()[0], { timezone: 'US/Eastern' });
+        const select = tree.shadowRoot.querySelector('.timezone');
+        const zones = () => Array.from(select.options).map(option => option.value);
+        expect(select.value).toBe('US/Eastern');
+        expect(zones()).toEqual(['UTC', 'local', 'US/Eastern']);
+
+        // The IANA zones are listed once the switcher is used
+        select.dispatchEvent(new Event('focus'));
+        expect(select.value).toBe('US/Eastern');
+        expect(zones()).toContain('Asia/Tokyo');
+
+        select.value = 'UTC';
+        select.dispatchEvent(new Event('change'));
+        expect(tree.timezone).toBe('UTC');
+        expect(zones().slice(0, 3)).toEqual(['UTC', 'local', 'US/Eastern']);
+
+        select.value = 'Asia/Tokyo';
+        select.dispatchEvent(new Event('change'));
+        expect(tree.timezone).toBe('Asia/Tokyo');
+        expect(zones().filter(zone => zone == 'Asia/Tokyo')).toHaveLength(1);
+    });
+
+    test('unknown timezones fall back to UTC', async () => {
+        const tree = await mountTree(getTestData()[0], { timezone: 'Nowhere/Special' });
+        expect(tree.timezone).toBe('UTC');
+    });
+});
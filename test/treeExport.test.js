@@ -0,0 +1,41 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, afterEach} from 'vitest';
+import {mountTree, settle, click} from './mountTree.js';
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('export', () => {
+    test('exports the visible rows', async () => {
+        const tree = await mountTree();
+        const table = JSON.parse(tree.exportJSON());
+        expect(table.rows.map(row => row.id)).toEqual(['[DAG]', 'end', 'start', 'section_1', 'section_2']);
+        expect(tree.exportCSV().split('\n')[0]).toContain('task_id,label,type,depth');
+    });
+
+    test('exporting before there is anything drawn shows an error', async () => {
+        const tree = document.createElement('task-instance-tree');
+        tree.setAttribute('dag-id', 'empty');
+        document.body.appendChild(tree);
+        expect(() => tree.exportSVG()).toThrow("empty isn't drawn");
+
+        tree.shadowRoot.querySelector('.export-format').value = 'csv';
+        click(tree.shadowRoot.querySelector('.export'));
+        await settle();
+        expect(tree.shadowRoot.querySelector('#message').textContent).toBe("Failed to export empty: empty isn't drawn");
+    });
+});
@@ -0,0 +1,131 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect} from 'vitest';
+import {stratifyDag, expandMappedTasks, rollupState, taskInstanceState, normalizeTaskInstance, cellClass, rectId, childrenExecutionDates, expandedHeight, eachNode, isLeafNode} from '../treeUtils.js';
+import {getTestData} from '../testData.js';
+
+const DAG = getTestData()[0];
+
+describe('stratifyDag', () => {
+    test('puts the top level nodes under a root named after the DAG', () => {
+        const root = stratifyDag('example_task_group', DAG.nodes);
+        expect(root.id).toBe('[DAG]');
+        expect(root.data.label).toBe('example_task_group');
+        expect(root.children.map(child => child.id).sort()).toEqual(['end', 'section_1', 'section_2', 'start']);
+        expect(root.descendants()).toHaveLength(DAG.nodes.length + 1);
+    });
+
+    test('nests TaskGroups', () => {
+        const root = stratifyDag('dag', DAG.nodes);
+        const inner = root.descendants().find(node => node.id == 'section_2.inner_section_2');
+        expect(inner.parent.id).toBe('section_2');
+        expect(inner.children.map(child => child.id).sort()).toEqual([
+            'section_2.inner_section_2.task_2',
+            'section_2.inner_section_2.task_3',
+            'section_2.inner_section_2.task_4',
+        ]);
+    });
+
+    test('turns task instances given as dates into objects without changing the nodes', () => {
+        const nodes = [{ id: 'task', label: 'task', group_id: null, task_instances: ['2021-01-01T00:00:00+00:00'] }];
+        const root = stratifyDag('dag', nodes);
+        expect(root.children[0].data.task_instances).toEqual([{ execution_date: '2021-01-01T00:00:00+00:00' }]);
+        expect(nodes[0].task_instances).toEqual(['2021-01-01T00:00:00+00:00']);
+        expect(nodes[0].group_id).toBeNull();
+    });
+
+    test('gives mapped tasks a child for each map_index', () => {
+        const nodes = [{ id: 'process', label: 'process', group_id: null, operator: 'PythonOperator', task_instances: [
+            { execution_date: '2021-01-01T00:00:00+00:00', map_index: 1, state: 'failed' },
+            { execution_date: '2021-01-01T00:00:00+00:00', map_index: 0, state: 'success' },
+            { execution_date: '2021-01-02T00:00:00+00:00', map_index: 0, state: 'success' },
+        ] }];
+        const expanded = expandMappedTasks(nodes);
+        expect(expanded.map(node => node.id)).toEqual(['process', 'process[0]', 'process[1]']);
+        expect(expanded[0].mapped).toBe(true);
+        expect(expanded[0].task_instances).toBeUndefined();
+        expect(expanded[1]).toMatchObject({ label: '[0]', group_id: 'process', task_id: 'process', map_index: 0, operator: 'PythonOperator' });
+        expect(expanded[1].task_instances).toHaveLength(2);
+
+        const root = stratifyDag('dag', expanded);
+        expect(root.children[0].children.map(child => child.id)).toEqual(['process[0]', 'process[1]']);
+    });
+
+    test('leaves tasks without a map_index alone', () => {
+        const nodes = [{ id: 'task', label: 'task', group_id: null, task_instances: [{ execution_date: '2021-01-01T00:00:00+00:00', map_index: -1 }] }];
+        expect(expandMappedTasks(nodes)).toEqual(nodes);
+    });
+});
+
+describe('states', () => {
+    test('the worst state of a TaskGroup wins', () => {
+        expect(rollupState(['success', 'failed', 'running'])).toBe('failed');
+        expect(rollupState(['success', 'skipped'])).toBe('success');
+        expect(rollupState(['skipped', 'up_for_retry'])).toBe('up_for_retry');
+    });
+
+    test('unknown states lose to known ones and missing states are left out', () => {
+        expect(rollupState(['success', 'deferred'])).toBe('success');
+        expect(rollupState(['deferred'])).toBe('no_status');
+        expect(rollupState([undefined, 'success'])).toBe('success');
+        expect(rollupState([undefined])).toBeUndefined();
+    });
+
+    test('a null state is no_status and a plain date has no state', () => {
+        expect(taskInstanceState({ state: null })).toBe('no_status');
+        expect(taskInstanceState(normalizeTaskInstance('2021-01-01'))).toBeUndefined();
+    });
+
+    test('cellClass', () => {
+        expect(cellClass({ nodeType: 'BaseOperator', state: 'failed', checked: true })).toBe('task-instance-rect state-failed');
+        expect(cellClass({ nodeType: 'TaskGroup', checked: false })).toBe('task-group-rect rect-unchecked');
+        expect(cellClass({ nodeType: 'TaskGroup', checked: false, indeterminate: true })).toBe('task-group-rect rect-indeterminate');
+    });
+});
+
+describe('walking the hierarchy', () => {
+    test('childrenExecutionDates has every execution_date once', () => {
+        const root = stratifyDag('dag', DAG.nodes);
+        const section = root.children.find(node => node.id == 'section_1');
+        expect(childrenExecutionDates(section).size).toBe(30);
+        expect(childrenExecutionDates(root)).toEqual(childrenExecutionDates(section));
+    });
+
+    test('expandedHeight only counts expanded TaskGroups', () => {
+        const root = stratifyDag('dag', DAG.nodes);
+        expect(expandedHeight(root)).toBe(3);
+        const section = root.children.find(node => node.id == 'section_2');
+        section._children = section.children;
+        section.children = null;
+        expect(expandedHeight(root)).toBe(2);
+    });
+
+    test('eachNode visits collapsed TaskGroups too', () => {
+        const root = stratifyDag('dag', DAG.nodes);
+        root.each(node => {
+            node._children = node.children;
+        });
+        root.children = null;
+        const ids = [];
+        eachNode(root, node => ids.push(node.id));
+        expect(ids).toHaveLength(DAG.nodes.length + 1);
+        expect(isLeafNode(root)).toBe(false);
+        expect(isLeafNode(root._children[0])).toBe(true);
+    });
+
+    test('rectId is the same for a moment and its JSON', () => {
+        expect(rectId('task', '2021-01-01T00:00:00.000Z')).toBe(JSON.stringify(['task', '2021-01-01T00:00:00.000Z']));
+    });
+});
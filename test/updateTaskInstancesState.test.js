@@ -0,0 +1,45 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect, vi} from 'vitest';
+import {buildStateRequests, updateTaskInstancesState} from '../updateTaskInstancesState.js';
+
+const RUN = '2021-03-18T00:00:00.000Z';
+
+describe('buildStateRequests', () => {
+    test('makes one request per task instance, and one for all the map indexes of a run', () => {
+        const requests = buildStateRequests([
+            { dag_id: 'dag', task_id: 'a', execution_date: RUN },
+            { dag_id: 'dag', task_id: 'process', execution_date: RUN, map_index: 0 },
+            { dag_id: 'dag', task_id: 'process', execution_date: RUN, map_index: 1 },
+        ], 'failed');
+        expect(requests).toHaveLength(2);
+        expect(requests[0]).toEqual({
+            dagId: 'dag',
+            body: { task_id: 'a', execution_date: RUN, new_state: 'failed', include_upstream: false, include_downstream: false, include_future: false, include_past: false, dry_run: true },
+        });
+        expect(requests[1].body.task_id).toBe('process');
+    });
+});
+
+describe('updateTaskInstancesState', () => {
+    test('posts the requests to the API', async () => {
+        const fetch = vi.fn(async () => ({ ok: true, json: async () => ({ task_instances: [] }) }));
+        await updateTaskInstancesState([{ dag_id: 'my dag', task_id: 'a', execution_date: RUN }], 'success', { baseUrl: 'http://airflow/api/v1/', fetch, dry_run: false });
+        expect(fetch).toHaveBeenCalledTimes(1);
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('http://airflow/api/v1/dags/my%20dag/updateTaskInstancesState');
+        expect(JSON.parse(init.body)).toMatchObject({ new_state: 'success', dry_run: false });
+    });
+});
@@ -0,0 +1,50 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {describe, test, expect} from 'vitest';
+import {validateDag} from '../validateDag.js';
+import {getTestData} from '../testData.js';
+
+describe('validateDag', () => {
+    test('finds no problems in the test data', () => {
+        expect(validateDag(getTestData()[0].nodes).problems).toEqual([]);
+    });
+
+    test('reports all the problems at once and repairs what it can', () => {
+        const { nodes, problems } = validateDag([
+            { id: 'a', group_id: 'missing', task_instances: ['2021-01-01T00:00:00+00:00', 'not a date'] },
+            { id: 'a', label: 'again', group_id: null },
+            { id: 'x', label: 'x', group_id: 'y' },
+            { id: 'y', label: 'y', group_id: 'x' },
+        ]);
+        expect(problems).toEqual([
+            'a has no label',
+            'a has a task instance with an invalid execution_date "not a date"',
+            'Duplicate id a',
+            'a is in unknown TaskGroup missing',
+            'TaskGroup cycle: x > y > x',
+            'TaskGroup x has no tasks',
+            'TaskGroup y has no tasks',
+        ]);
+        expect(nodes).toEqual([
+            { id: 'a', label: 'a', group_id: null, task_instances: ['2021-01-01T00:00:00+00:00'] },
+            { id: 'x', label: 'x', group_id: 'y' },
+            { id: 'y', label: 'y', group_id: null },
+        ]);
+    });
+
+    test('gives up on data that is not a list', () => {
+        expect(validateDag({}).nodes).toBeNull();
+    });
+});
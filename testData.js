@@ -16,338 +16,357 @@ export function getTestData() {
     return [
         {
             "dag_id": "example_task_group",
+            "schedule_interval": "@daily",
             "nodes": [
                 {
                     "id": "end",
                     "label": "end",
                     "group_id": null,
+                    "operator": "DummyOperator",
+                    "upstream_task_ids": ["section_2.task_1", "section_2.inner_section_2.task_4"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:16:13+00:00", "end_date": "2021-03-19T00:16:40+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:16:16+00:00", "end_date": "2021-03-20T00:17:00+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:16:19+00:00", "end_date": "2021-03-21T00:17:20+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:16:22+00:00", "end_date": "2021-03-22T00:17:40+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:16:25+00:00", "end_date": "2021-03-23T00:16:50+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:16:28+00:00", "end_date": "2021-03-24T00:17:10+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:16:31+00:00", "end_date": "2021-03-25T00:17:30+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "upstream_failed", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:16:37+00:00", "end_date": "2021-03-27T00:17:00+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:16:40+00:00", "end_date": "2021-03-28T00:17:20+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:16:43+00:00", "end_date": "2021-03-29T00:17:40+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:16:46+00:00", "end_date": "2021-03-30T00:18:00+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:16:49+00:00", "end_date": "2021-03-31T00:17:10+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:16:09+00:00", "end_date": "2021-04-01T00:17:20+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:16:12+00:00", "end_date": "2021-04-02T00:17:40+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:16:15+00:00", "end_date": "2021-04-03T00:16:50+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:16:18+00:00", "end_date": "2021-04-04T00:17:10+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:16:21+00:00", "end_date": "2021-04-05T00:17:30+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:16:24+00:00", "end_date": "2021-04-06T00:17:50+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:16:27+00:00", "end_date": "2021-04-07T00:17:00+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:16:30+00:00", "end_date": "2021-04-08T00:17:20+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:16:33+00:00", "end_date": "2021-04-09T00:17:40+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:16:36+00:00", "end_date": "2021-04-10T00:18:00+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:16:39+00:00", "end_date": "2021-04-11T00:17:10+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:16:42+00:00", "end_date": "2021-04-12T00:17:30+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:16:45+00:00", "end_date": "2021-04-13T00:17:50+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:16:48+00:00", "end_date": "2021-04-14T00:18:10+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:16:01+00:00", "end_date": "2021-04-15T00:16:30+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": null, "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": null, "try_number": 1, "start_date": null, "end_date": null}
                     ]
                 },
                 {
                     "id": "section_1.task_1",
                     "label": "task_1",
                     "group_id": "section_1",
+                    "operator": "DummyOperator",
+                    "upstream_task_ids": ["start"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:02:14+00:00", "end_date": "2021-03-19T00:03:30+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:02:17+00:00", "end_date": "2021-03-20T00:02:40+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:02:20+00:00", "end_date": "2021-03-21T00:03:00+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:02:23+00:00", "end_date": "2021-03-22T00:03:20+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:02:26+00:00", "end_date": "2021-03-23T00:03:40+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:02:29+00:00", "end_date": "2021-03-24T00:02:50+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:02:32+00:00", "end_date": "2021-03-25T00:03:10+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-26T00:02:35+00:00", "end_date": "2021-03-26T00:03:30+00:00"},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:02:38+00:00", "end_date": "2021-03-27T00:03:50+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:02:41+00:00", "end_date": "2021-03-28T00:04:10+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:02:44+00:00", "end_date": "2021-03-29T00:03:20+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:02:47+00:00", "end_date": "2021-03-30T00:03:40+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:02:00+00:00", "end_date": "2021-03-31T00:03:10+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:02:10+00:00", "end_date": "2021-04-01T00:03:00+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:02:13+00:00", "end_date": "2021-04-02T00:03:20+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:02:16+00:00", "end_date": "2021-04-03T00:03:40+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:02:19+00:00", "end_date": "2021-04-04T00:02:50+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:02:22+00:00", "end_date": "2021-04-05T00:03:10+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:02:25+00:00", "end_date": "2021-04-06T00:03:30+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:02:28+00:00", "end_date": "2021-04-07T00:03:50+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:02:31+00:00", "end_date": "2021-04-08T00:03:00+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:02:34+00:00", "end_date": "2021-04-09T00:03:20+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:02:37+00:00", "end_date": "2021-04-10T00:03:40+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:02:40+00:00", "end_date": "2021-04-11T00:04:00+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:02:43+00:00", "end_date": "2021-04-12T00:03:10+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:02:46+00:00", "end_date": "2021-04-13T00:03:30+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:02:49+00:00", "end_date": "2021-04-14T00:03:50+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:02:02+00:00", "end_date": "2021-04-15T00:03:20+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:02:05+00:00", "end_date": "2021-04-16T00:02:30+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-17T00:02:08+00:00", "end_date": "2021-04-17T00:02:50+00:00"}
                     ]
                 },
                 {
                     "id": "section_1.task_2",
                     "label": "task_2",
                     "group_id": "section_1",
+                    "operator": "BashOperator",
+                    "upstream_task_ids": ["section_1.task_1"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:04:21+00:00", "end_date": "2021-03-19T00:05:50+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:04:24+00:00", "end_date": "2021-03-20T00:05:00+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:04:27+00:00", "end_date": "2021-03-21T00:05:20+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:04:30+00:00", "end_date": "2021-03-22T00:05:40+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:04:33+00:00", "end_date": "2021-03-23T00:06:00+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:04:36+00:00", "end_date": "2021-03-24T00:05:10+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:04:39+00:00", "end_date": "2021-03-25T00:05:30+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "failed", "try_number": 2, "start_date": "2021-03-26T00:04:42+00:00", "end_date": "2021-03-26T00:05:50+00:00"},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:04:45+00:00", "end_date": "2021-03-27T00:06:10+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:04:48+00:00", "end_date": "2021-03-28T00:05:20+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:04:01+00:00", "end_date": "2021-03-29T00:04:50+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:04:04+00:00", "end_date": "2021-03-30T00:05:10+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:04:07+00:00", "end_date": "2021-03-31T00:05:30+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:04:17+00:00", "end_date": "2021-04-01T00:05:20+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:04:20+00:00", "end_date": "2021-04-02T00:05:40+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:04:23+00:00", "end_date": "2021-04-03T00:04:50+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:04:26+00:00", "end_date": "2021-04-04T00:05:10+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:04:29+00:00", "end_date": "2021-04-05T00:05:30+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:04:32+00:00", "end_date": "2021-04-06T00:05:50+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:04:35+00:00", "end_date": "2021-04-07T00:05:00+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:04:38+00:00", "end_date": "2021-04-08T00:05:20+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:04:41+00:00", "end_date": "2021-04-09T00:05:40+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:04:44+00:00", "end_date": "2021-04-10T00:06:00+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:04:47+00:00", "end_date": "2021-04-11T00:05:10+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:04:00+00:00", "end_date": "2021-04-12T00:04:40+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:04:03+00:00", "end_date": "2021-04-13T00:05:00+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:04:06+00:00", "end_date": "2021-04-14T00:05:20+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:04:09+00:00", "end_date": "2021-04-15T00:04:30+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:04:12+00:00", "end_date": "2021-04-16T00:04:50+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": "running", "try_number": 1, "start_date": "2021-04-17T00:04:15+00:00", "end_date": null}
                     ]
                 },
                 {
                     "id": "section_1.task_3",
                     "label": "task_3",
                     "group_id": "section_1",
+                    "operator": "BashOperator",
+                    "upstream_task_ids": ["section_1.task_1"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:06:28+00:00", "end_date": "2021-03-19T00:07:00+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:06:31+00:00", "end_date": "2021-03-20T00:07:20+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:06:34+00:00", "end_date": "2021-03-21T00:07:40+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:06:37+00:00", "end_date": "2021-03-22T00:08:00+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:06:40+00:00", "end_date": "2021-03-23T00:07:10+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:06:43+00:00", "end_date": "2021-03-24T00:07:30+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:06:46+00:00", "end_date": "2021-03-25T00:07:50+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "upstream_failed", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:06:02+00:00", "end_date": "2021-03-27T00:06:30+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:06:05+00:00", "end_date": "2021-03-28T00:06:50+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:06:08+00:00", "end_date": "2021-03-29T00:07:10+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:06:11+00:00", "end_date": "2021-03-30T00:07:30+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:06:14+00:00", "end_date": "2021-03-31T00:06:40+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:06:24+00:00", "end_date": "2021-04-01T00:07:40+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:06:27+00:00", "end_date": "2021-04-02T00:06:50+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:06:30+00:00", "end_date": "2021-04-03T00:07:10+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:06:33+00:00", "end_date": "2021-04-04T00:07:30+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:06:36+00:00", "end_date": "2021-04-05T00:07:50+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:06:39+00:00", "end_date": "2021-04-06T00:07:00+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:06:42+00:00", "end_date": "2021-04-07T00:07:20+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:06:45+00:00", "end_date": "2021-04-08T00:07:40+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:06:48+00:00", "end_date": "2021-04-09T00:08:00+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:06:01+00:00", "end_date": "2021-04-10T00:07:30+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:06:04+00:00", "end_date": "2021-04-11T00:06:40+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:06:07+00:00", "end_date": "2021-04-12T00:07:00+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:06:10+00:00", "end_date": "2021-04-13T00:07:20+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:06:13+00:00", "end_date": "2021-04-14T00:07:40+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:06:16+00:00", "end_date": "2021-04-15T00:06:50+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:06:19+00:00", "end_date": "2021-04-16T00:07:10+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": "queued", "try_number": 1, "start_date": null, "end_date": null}
                     ]
                 },
                 {
                     "id": "section_2.inner_section_2.task_2",
                     "label": "task_2",
                     "group_id": "section_2.inner_section_2",
+                    "operator": "BashOperator",
+                    "upstream_task_ids": ["section_1.task_2", "section_1.task_3"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:10:42+00:00", "end_date": "2021-03-19T00:11:40+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:10:45+00:00", "end_date": "2021-03-20T00:12:00+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:10:48+00:00", "end_date": "2021-03-21T00:11:10+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:10:01+00:00", "end_date": "2021-03-22T00:10:40+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:10:04+00:00", "end_date": "2021-03-23T00:11:00+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:10:07+00:00", "end_date": "2021-03-24T00:11:20+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:10:10+00:00", "end_date": "2021-03-25T00:10:30+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "upstream_failed", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:10:16+00:00", "end_date": "2021-03-27T00:11:10+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:10:19+00:00", "end_date": "2021-03-28T00:11:30+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:10:22+00:00", "end_date": "2021-03-29T00:11:50+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:10:25+00:00", "end_date": "2021-03-30T00:11:00+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:10:28+00:00", "end_date": "2021-03-31T00:11:20+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:10:38+00:00", "end_date": "2021-04-01T00:11:10+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:10:41+00:00", "end_date": "2021-04-02T00:11:30+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:10:44+00:00", "end_date": "2021-04-03T00:11:50+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:10:47+00:00", "end_date": "2021-04-04T00:12:10+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:10:00+00:00", "end_date": "2021-04-05T00:10:30+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:10:03+00:00", "end_date": "2021-04-06T00:10:50+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:10:06+00:00", "end_date": "2021-04-07T00:11:10+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:10:09+00:00", "end_date": "2021-04-08T00:11:30+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:10:12+00:00", "end_date": "2021-04-09T00:10:40+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:10:15+00:00", "end_date": "2021-04-10T00:11:00+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:10:18+00:00", "end_date": "2021-04-11T00:11:20+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:10:21+00:00", "end_date": "2021-04-12T00:11:40+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:10:24+00:00", "end_date": "2021-04-13T00:10:50+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:10:27+00:00", "end_date": "2021-04-14T00:11:10+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:10:30+00:00", "end_date": "2021-04-15T00:11:30+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:10:33+00:00", "end_date": "2021-04-16T00:11:50+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": null, "try_number": 1, "start_date": null, "end_date": null}
                     ]
                 },
                 {
                     "id": "section_2.inner_section_2.task_3",
                     "label": "task_3",
                     "group_id": "section_2.inner_section_2",
+                    "operator": "BashOperator",
+                    "upstream_task_ids": ["section_1.task_2", "section_1.task_3"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:12:49+00:00", "end_date": "2021-03-19T00:14:00+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:12:02+00:00", "end_date": "2021-03-20T00:13:30+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:12:05+00:00", "end_date": "2021-03-21T00:12:40+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:12:08+00:00", "end_date": "2021-03-22T00:13:00+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:12:11+00:00", "end_date": "2021-03-23T00:13:20+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:12:14+00:00", "end_date": "2021-03-24T00:13:40+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:12:17+00:00", "end_date": "2021-03-25T00:12:50+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "upstream_failed", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:12:23+00:00", "end_date": "2021-03-27T00:13:30+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:12:26+00:00", "end_date": "2021-03-28T00:13:50+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:12:29+00:00", "end_date": "2021-03-29T00:13:00+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:12:32+00:00", "end_date": "2021-03-30T00:13:20+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:12:35+00:00", "end_date": "2021-03-31T00:13:40+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:12:45+00:00", "end_date": "2021-04-01T00:13:30+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:12:48+00:00", "end_date": "2021-04-02T00:13:50+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:12:01+00:00", "end_date": "2021-04-03T00:13:20+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:12:04+00:00", "end_date": "2021-04-04T00:12:30+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:12:07+00:00", "end_date": "2021-04-05T00:12:50+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:12:10+00:00", "end_date": "2021-04-06T00:13:10+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:12:13+00:00", "end_date": "2021-04-07T00:13:30+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:12:16+00:00", "end_date": "2021-04-08T00:12:40+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:12:19+00:00", "end_date": "2021-04-09T00:13:00+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:12:22+00:00", "end_date": "2021-04-10T00:13:20+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:12:25+00:00", "end_date": "2021-04-11T00:13:40+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:12:28+00:00", "end_date": "2021-04-12T00:12:50+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:12:31+00:00", "end_date": "2021-04-13T00:13:10+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:12:34+00:00", "end_date": "2021-04-14T00:13:30+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:12:37+00:00", "end_date": "2021-04-15T00:13:50+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:12:40+00:00", "end_date": "2021-04-16T00:13:00+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": null, "try_number": 1, "start_date": null, "end_date": null}
                     ]
                 },
                 {
                     "id": "section_2.inner_section_2.task_4",
                     "label": "task_4",
                     "group_id": "section_2.inner_section_2",
+                    "operator": "BashOperator",
+                    "upstream_task_ids": ["section_2.inner_section_2.task_2", "section_2.inner_section_2.task_3"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:14:06+00:00", "end_date": "2021-03-19T00:15:30+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:14:09+00:00", "end_date": "2021-03-20T00:14:40+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:14:12+00:00", "end_date": "2021-03-21T00:15:00+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:14:15+00:00", "end_date": "2021-03-22T00:15:20+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:14:18+00:00", "end_date": "2021-03-23T00:15:40+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:14:21+00:00", "end_date": "2021-03-24T00:14:50+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:14:24+00:00", "end_date": "2021-03-25T00:15:10+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "upstream_failed", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:14:30+00:00", "end_date": "2021-03-27T00:15:50+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:14:33+00:00", "end_date": "2021-03-28T00:15:00+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:14:36+00:00", "end_date": "2021-03-29T00:15:20+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:14:39+00:00", "end_date": "2021-03-30T00:15:40+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:14:42+00:00", "end_date": "2021-03-31T00:16:00+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:14:02+00:00", "end_date": "2021-04-01T00:15:00+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:14:05+00:00", "end_date": "2021-04-02T00:15:20+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:14:08+00:00", "end_date": "2021-04-03T00:14:30+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:14:11+00:00", "end_date": "2021-04-04T00:14:50+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:14:14+00:00", "end_date": "2021-04-05T00:15:10+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:14:17+00:00", "end_date": "2021-04-06T00:15:30+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:14:20+00:00", "end_date": "2021-04-07T00:14:40+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:14:23+00:00", "end_date": "2021-04-08T00:15:00+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:14:26+00:00", "end_date": "2021-04-09T00:15:20+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:14:29+00:00", "end_date": "2021-04-10T00:15:40+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:14:32+00:00", "end_date": "2021-04-11T00:16:00+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:14:35+00:00", "end_date": "2021-04-12T00:15:10+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:14:38+00:00", "end_date": "2021-04-13T00:15:30+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:14:41+00:00", "end_date": "2021-04-14T00:15:50+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:14:44+00:00", "end_date": "2021-04-15T00:16:10+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "up_for_retry", "try_number": 1, "start_date": "2021-04-16T00:14:47+00:00", "end_date": "2021-04-16T00:15:20+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": null, "try_number": 1, "start_date": null, "end_date": null}
                     ]
                 },
                 {
                     "id": "section_2.task_1",
                     "label": "task_1",
                     "group_id": "section_2",
+                    "operator": "BashOperator",
+                    "upstream_task_ids": ["section_1.task_2", "section_1.task_3"],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:08:35+00:00", "end_date": "2021-03-19T00:09:20+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:08:38+00:00", "end_date": "2021-03-20T00:09:40+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:08:41+00:00", "end_date": "2021-03-21T00:10:00+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:08:44+00:00", "end_date": "2021-03-22T00:09:10+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:08:47+00:00", "end_date": "2021-03-23T00:09:30+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:08:00+00:00", "end_date": "2021-03-24T00:09:00+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:08:03+00:00", "end_date": "2021-03-25T00:09:20+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "upstream_failed", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:08:09+00:00", "end_date": "2021-03-27T00:08:50+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:08:12+00:00", "end_date": "2021-03-28T00:09:10+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "skipped", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:08:18+00:00", "end_date": "2021-03-30T00:08:40+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:08:21+00:00", "end_date": "2021-03-31T00:09:00+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:08:31+00:00", "end_date": "2021-04-01T00:10:00+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:08:34+00:00", "end_date": "2021-04-02T00:09:10+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:08:37+00:00", "end_date": "2021-04-03T00:09:30+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:08:40+00:00", "end_date": "2021-04-04T00:09:50+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "skipped", "try_number": 1, "start_date": null, "end_date": null},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:08:46+00:00", "end_date": "2021-04-06T00:09:20+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:08:49+00:00", "end_date": "2021-04-07T00:09:40+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:08:02+00:00", "end_date": "2021-04-08T00:09:10+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:08:05+00:00", "end_date": "2021-04-09T00:09:30+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:08:08+00:00", "end_date": "2021-04-10T00:08:40+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:08:11+00:00", "end_date": "2021-04-11T00:09:00+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:08:14+00:00", "end_date": "2021-04-12T00:09:20+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:08:17+00:00", "end_date": "2021-04-13T00:09:40+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:08:20+00:00", "end_date": "2021-04-14T00:08:50+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:08:23+00:00", "end_date": "2021-04-15T00:09:10+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:08:26+00:00", "end_date": "2021-04-16T00:09:30+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": null, "try_number": 1, "start_date": null, "end_date": null}
                     ]
                 },
                 {
                     "id": "start",
                     "label": "start",
                     "group_id": null,
+                    "operator": "DummyOperator",
+                    "upstream_task_ids": [],
                     "task_instances": [
-                        "2021-03-18T00:00:00+00:00",
-                        "2021-03-19T00:00:00+00:00",
-                        "2021-03-20T00:00:00+00:00",
-                        "2021-03-21T00:00:00+00:00",
-                        "2021-03-22T00:00:00+00:00",
-                        "2021-03-23T00:00:00+00:00",
-                        "2021-03-24T00:00:00+00:00",
-                        "2021-03-25T00:00:00+00:00",
-                        "2021-03-26T00:00:00+00:00",
-                        "2021-03-27T00:00:00+00:00",
-                        "2021-03-28T00:00:00+00:00",
-                        "2021-03-29T00:00:00+00:00",
-                        "2021-03-30T00:00:00+00:00",
-                        "2021-03-31T00:00:00+00:00",
-                        "2021-04-01T00:00:00+00:00",
-                        "2021-04-02T00:00:00+00:00",
-                        "2021-04-03T00:00:00+00:00",
-                        "2021-04-04T00:00:00+00:00",
-                        "2021-04-05T00:00:00+00:00",
-                        "2021-04-06T00:00:00+00:00",
-                        "2021-04-07T00:00:00+00:00",
-                        "2021-04-08T00:00:00+00:00",
-                        "2021-04-09T00:00:00+00:00",
-                        "2021-04-10T00:00:00+00:00",
-                        "2021-04-11T00:00:00+00:00",
-                        "2021-04-12T00:00:00+00:00",
-                        "2021-04-13T00:00:00+00:00",
-                        "2021-04-14T00:00:00+00:00",
-                        "2021-04-15T00:00:00+00:00",
-                        "2021-04-16T00:00:00+00:00"
+                        {"execution_date": "2021-03-18T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-19T00:00:07+00:00", "end_date": "2021-03-19T00:01:10+00:00"},
+                        {"execution_date": "2021-03-19T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-20T00:00:10+00:00", "end_date": "2021-03-20T00:01:30+00:00"},
+                        {"execution_date": "2021-03-20T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-21T00:00:13+00:00", "end_date": "2021-03-21T00:00:40+00:00"},
+                        {"execution_date": "2021-03-21T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-22T00:00:16+00:00", "end_date": "2021-03-22T00:01:00+00:00"},
+                        {"execution_date": "2021-03-22T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-23T00:00:19+00:00", "end_date": "2021-03-23T00:01:20+00:00"},
+                        {"execution_date": "2021-03-23T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-24T00:00:22+00:00", "end_date": "2021-03-24T00:01:40+00:00"},
+                        {"execution_date": "2021-03-24T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-25T00:00:25+00:00", "end_date": "2021-03-25T00:00:50+00:00"},
+                        {"execution_date": "2021-03-25T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-26T00:00:28+00:00", "end_date": "2021-03-26T00:01:10+00:00"},
+                        {"execution_date": "2021-03-26T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-27T00:00:31+00:00", "end_date": "2021-03-27T00:01:30+00:00"},
+                        {"execution_date": "2021-03-27T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-28T00:00:34+00:00", "end_date": "2021-03-28T00:01:50+00:00"},
+                        {"execution_date": "2021-03-28T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-29T00:00:37+00:00", "end_date": "2021-03-29T00:01:00+00:00"},
+                        {"execution_date": "2021-03-29T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-30T00:00:40+00:00", "end_date": "2021-03-30T00:01:20+00:00"},
+                        {"execution_date": "2021-03-30T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-03-31T00:00:43+00:00", "end_date": "2021-03-31T00:01:40+00:00"},
+                        {"execution_date": "2021-03-31T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-01T00:00:03+00:00", "end_date": "2021-04-01T00:00:40+00:00"},
+                        {"execution_date": "2021-04-01T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-02T00:00:06+00:00", "end_date": "2021-04-02T00:01:00+00:00"},
+                        {"execution_date": "2021-04-02T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-03T00:00:09+00:00", "end_date": "2021-04-03T00:01:20+00:00"},
+                        {"execution_date": "2021-04-03T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-04T00:00:12+00:00", "end_date": "2021-04-04T00:01:40+00:00"},
+                        {"execution_date": "2021-04-04T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-05T00:00:15+00:00", "end_date": "2021-04-05T00:00:50+00:00"},
+                        {"execution_date": "2021-04-05T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-06T00:00:18+00:00", "end_date": "2021-04-06T00:01:10+00:00"},
+                        {"execution_date": "2021-04-06T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-07T00:00:21+00:00", "end_date": "2021-04-07T00:01:30+00:00"},
+                        {"execution_date": "2021-04-07T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-08T00:00:24+00:00", "end_date": "2021-04-08T00:01:50+00:00"},
+                        {"execution_date": "2021-04-08T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-09T00:00:27+00:00", "end_date": "2021-04-09T00:01:00+00:00"},
+                        {"execution_date": "2021-04-09T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-10T00:00:30+00:00", "end_date": "2021-04-10T00:01:20+00:00"},
+                        {"execution_date": "2021-04-10T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-11T00:00:33+00:00", "end_date": "2021-04-11T00:01:40+00:00"},
+                        {"execution_date": "2021-04-11T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-12T00:00:36+00:00", "end_date": "2021-04-12T00:02:00+00:00"},
+                        {"execution_date": "2021-04-12T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-13T00:00:39+00:00", "end_date": "2021-04-13T00:01:10+00:00"},
+                        {"execution_date": "2021-04-13T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-14T00:00:42+00:00", "end_date": "2021-04-14T00:01:30+00:00"},
+                        {"execution_date": "2021-04-14T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-15T00:00:45+00:00", "end_date": "2021-04-15T00:01:50+00:00"},
+                        {"execution_date": "2021-04-15T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-16T00:00:48+00:00", "end_date": "2021-04-16T00:02:10+00:00"},
+                        {"execution_date": "2021-04-16T00:00:00+00:00", "state": "success", "try_number": 1, "start_date": "2021-04-17T00:00:01+00:00", "end_date": "2021-04-17T00:00:30+00:00"}
                     ]
                 },
                 {
@@ -369,3 +388,79 @@ export function getTestData() {
         }
     ];
 }
+
+// Generate a DAG with numTasks tasks nested in TaskGroups and numRuns daily runs, for benchmarking
+// the rendering of large DAGs. The states are pseudo-random, but the same on every call.
+export function generateLargeTestData(numTasks = 2000, numRuns = 365) {
+    const states = ['success', 'success', 'success', 'success', 'success', 'success', 'failed', 'upstream_failed', 'skipped', 'up_for_retry'];
+    const tasksPerGroup = 20;
+    const groupsPerSection = 10;
+
+    // Park-Miller random number generator, so that the data is reproducible
+    let seed = 1;
+    function random() {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    }
+
+    const firstDate = Date.UTC(2020, 0, 1);
+    const executionDates = [];
+    for (let run = 0; run < numRuns; run++)
+        executionDates.push(new Date(firstDate + run * 24 * 3600 * 1000).toISOString());
+
+    const nodes = [];
+    for (let task = 0; task < numTasks; task++) {
+        const groupIndex = Math.floor(task / tasksPerGroup);
+        const sectionLabel = `section_${Math.floor(groupIndex / groupsPerSection)}`;
+        const groupLabel = `group_${groupIndex % groupsPerSection}`;
+        const groupId = `${sectionLabel}.${groupLabel}`;
+        const taskLabel = `task_${task % tasksPerGroup}`;
+
+        if (task % (tasksPerGroup * groupsPerSection) == 0)
+            nodes.push({ id: sectionLabel, label: sectionLabel, group_id: null });
+        if (task % tasksPerGroup == 0)
+            nodes.push({ id: groupId, label: groupLabel, group_id: sectionLabel });
+
+        nodes.push({
+            id: `${groupId}.${taskLabel}`,
+            label: taskLabel,
+            group_id: groupId,
+            task_instances: executionDates.map(date => ({
+                execution_date: date,
+                state: states[Math.floor(random() * states.length)],
+                try_number: 1,
+            })),
+        });
+    }
+
+    return [{ dag_id: 'large_dag', schedule_interval: '@daily', nodes: nodes }];
+}
+
+// Return the DAG of getTestData() and a second one, like example_bash_operator, which only ran
+// every other day and started later, for trying out <dag-tree-dashboard>
+export function getDashboardTestData() {
+    const states = ['success', 'success', 'success', 'failed', 'skipped'];
+    const executionDates = [];
+    for (let day = 2; day < 30; day += 2)
+        executionDates.push(new Date(Date.UTC(2021, 2, 18 + day)).toISOString().replace('.000Z', '+00:00'));
+
+    const taskIds = ['runme_0', 'runme_1', 'runme_2', 'run_after_loop', 'also_run_this', 'this_will_skip', 'run_this_last'];
+    const upstream = {
+        run_after_loop: ['runme_0', 'runme_1', 'runme_2'],
+        run_this_last: ['run_after_loop', 'also_run_this', 'this_will_skip'],
+    };
+    const nodes = taskIds.map((id, task) => ({
+        id: id,
+        label: id,
+        group_id: null,
+        operator: 'BashOperator',
+        upstream_task_ids: upstream[id] || [],
+        task_instances: executionDates.map((date, run) => ({
+            execution_date: date,
+            state: id == 'this_will_skip' ? 'skipped' : states[(task * 3 + run) % states.length],
+            try_number: 1,
+        })),
+    }));
+
+    return getTestData().concat([{ dag_id: 'example_bash_operator', schedule_interval: '0 0 * * *', nodes: nodes }]);
+}
@@ -0,0 +1,141 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import * as d3 from 'd3';
+import moment from 'moment';
+
+// The timezone the dates are shown in: 'UTC', 'local' for the timezone of the browser, or an IANA
+// zone like 'Europe/Paris'. Only the labels change: the runs stay keyed by the instant of their
+// execution_date, and the task instances returned keep the execution_date of the data.
+
+// How the dates of task instances are shown, e.g. in the tooltips
+export const DATE_FORMAT = 'YYYY-MM-DDTHH:mm:ssZ';
+
+// Intl formats of the IANA zones, which are slow to create
+const zoneFormats = new Map();
+
+function zoneFormat(zone) {
+    if (!zoneFormats.has(zone)) {
+        zoneFormats.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    return zoneFormats.get(zone);
+}
+
+// Whether zone is 'UTC', 'local' or an IANA zone known to the browser
+export function isValidTimezone(zone) {
+    if (zone == 'UTC' || zone == 'local')
+        return true;
+    try {
+        zoneFormat(zone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Return the offset of zone from UTC in minutes at time, in milliseconds. It can differ between
+// times because of daylight saving time.
+export function timezoneOffset(zone, time) {
+    if (zone == 'UTC')
+        return 0;
+    if (zone == 'local')
+        return -new Date(time).getTimezoneOffset();
+
+    // The wall clock time in zone, read as if it was UTC
+    const parts = {};
+    zoneFormat(zone).formatToParts(new Date(time)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return Math.round((wallTime - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+// Return a function formatting dates (moments or strings like the execution_dates of the data) in
+// zone, with a moment format string (DATE_FORMAT by default). The labels are cached, as the same
+// execution_dates are formatted over and over.
+export function dateFormatter(zone) {
+    const labels = new Map();
+    return (date, format = DATE_FORMAT) => {
+        const key = `${format} ${moment.isMoment(date) ? date.valueOf() : date}`;
+        if (!labels.has(key)) {
+            const parsed = moment.isMoment(date) ? date.clone() : moment.parseZone(date);
+            labels.set(key, parsed.isValid() ? parsed.utcOffset(timezoneOffset(zone, parsed.valueOf())).format(format) : String(date));
+        }
+        return labels.get(key);
+    };
+}
+
+// The IANA zones known to the browser, offered by the timezone switchers. Older browsers can't list
+// them, in which case only UTC, local and the zones set are offered.
+const SUPPORTED_ZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+
+// The state of the timezone switchers filled by fillTimezoneSelect(): the zone set that the browser
+// doesn't list, and whether the IANA zones are listed yet
+const switchers = new WeakMap();
+
+function renderOptions(select, switcher) {
+    const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = [
+        { value: 'UTC', label: 'UTC' },
+        { value: 'local', label: local ? `Local (${local})` : 'Local' },
+    ];
+    if (switcher.unlisted)
+        zones.push({ value: switcher.unlisted, label: switcher.unlisted });
+    if (switcher.listed)
+        SUPPORTED_ZONES.forEach(value => zones.push({ value: value, label: value }));
+
+    const value = select.value;
+    d3.select(select)
+        .selectAll('option')
+        .data(zones, d => d.value)
+        .join('option')
+        .attr('value', d => d.value)
+        .text(d => d.label);
+    select.value = value;
+}
+
+// Fill a <select> of timezones and select zone. It offers UTC, the local timezone and the last zone
+// set that isn't listed, e.g. an alias like 'US/Eastern'. The hundreds of IANA zones are only added
+// once the switcher is focused, so hidden toolbars like those of the trees of a dashboard never get them.
+export function fillTimezoneSelect(select, zone) {
+    if (!switchers.has(select)) {
+        const switcher = { unlisted: null, listed: false };
+        const list = () => {
+            if (switcher.listed)
+                return;
+            switcher.listed = true;
+            renderOptions(select, switcher);
+        };
+        select.addEventListener('focus', list);
+        select.addEventListener('mousedown', list);
+        switchers.set(select, switcher);
+    }
+
+    const switcher = switchers.get(select);
+    const unlisted = zone == 'UTC' || zone == 'local' || SUPPORTED_ZONES.includes(zone) ? switcher.unlisted : zone;
+    if (unlisted != switcher.unlisted || select.options.length == 0) {
+        switcher.unlisted = unlisted;
+        renderOptions(select, switcher);
+    }
+    select.value = zone;
+}
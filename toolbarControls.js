@@ -0,0 +1,34 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// The markup of the toolbar controls found both on a TaskInstanceTree and on a DagTreeDashboard.
+// Each element wires them to its own methods.
+
+export const SEARCH_INPUT = `
+    <input type='search' class='search' placeholder='Search tasks or /regex/' aria-label='Search tasks'>`;
+
+// The size of the date window and the buttons paging it, see dateWindow.js
+export const WINDOW_CONTROLS = `
+    <select class='window-size' aria-label='Runs shown'>
+        <option value=''>All runs</option>
+        <option value='7'>Last 7 runs</option>
+        <option value='30'>Last 30 runs</option>
+        <option value='90'>Last 90 runs</option>
+    </select>
+    <button class='previous-page' title='Older runs' aria-label='Older runs'>&lsaquo;</button>
+    <button class='next-page' title='Newer runs' aria-label='Newer runs'>&rsaquo;</button>`;
+
+// Filled by fillTimezoneSelect()
+export const TIMEZONE_SELECT = `
+    <select class='timezone' aria-label='Timezone'></select>`;
@@ -0,0 +1,78 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Helpers for TaskInstanceTree.exportSVG(), exportPNG(), exportCSV() and exportJSON()
+
+// Return standalone markup for copy, a copy of the svg drawn in the shadow root of host. styleText is
+// the stylesheet of the shadow root, in which :host becomes the svg itself. The custom properties are
+// set to their values on host, so that it looks the same whatever the page or the color scheme changed.
+export function standaloneSVG(copy, styleText, host, width, height) {
+    copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    copy.setAttribute('width', width);
+    copy.setAttribute('height', height);
+    copy.removeAttribute('tabindex');
+
+    const hostStyle = getComputedStyle(host);
+    const properties = Array.from(new Set(styleText.match(/--tree-[\w-]+/g) || []))
+        .map(name => [name, hostStyle.getPropertyValue(name).trim()])
+        .filter(([name, value]) => value)
+        .map(([name, value]) => `    ${name}: ${value};\n`)
+        .join('');
+
+    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.textContent = `${styleText.replace(/:host/g, 'svg')}\nsvg {\n${properties}    background: var(--tree-background);\n}\n`;
+    copy.insertBefore(style, copy.firstChild);
+
+    return new XMLSerializer().serializeToString(copy);
+}
+
+// Rasterize the markup of an svg of the given size. Resolves to a PNG Blob.
+export function svgToPNG(svgText, width, height, scale) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to create the PNG')), 'image/png');
+        };
+        image.onerror = () => reject(new Error('Failed to load the SVG'));
+        // A data url rather than an object url, which would taint the canvas in some browsers
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+    });
+}
+
+// Format a list of rows (lists of values) as CSV
+export function toCSV(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Let the user download content (a string or a Blob) as a file
+export function downloadFile(content, filename, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,60 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Filter criteria for TaskInstanceTree.filter(). All of the given criteria must match:
+//  text:      case-insensitive substring of the id or label
+//  regex:     RegExp (or its source string) tested against the id and the label
+//  states:    list of states, matching tasks with a task instance in one of them
+//  operators: list of operator names, matching tasks of one of these operators
+//  mode:      'dim' (default) dims the nodes that don't match, 'hide' hides them
+//  prune:     in 'hide' mode, also hide the TaskGroups left without any matching task
+
+// Turn the text typed into the search box into criteria. Text like /pattern/ is a regex.
+export function parseSearch(text) {
+    const trimmed = text.trim();
+    if (!trimmed)
+        return null;
+
+    const regex = trimmed.match(/^\/(.+)\/(i?)$/);
+    if (regex) {
+        try {
+            return { regex: new RegExp(regex[1], regex[2]) };
+        } catch (error) {
+            // Not a valid regex (yet), search for the text as typed
+        }
+    }
+    return { text: trimmed };
+}
+
+// Return a function telling whether a node matches the criteria
+export function nodeMatcher(criteria) {
+    const text = criteria.text ? criteria.text.toLowerCase() : null;
+    const regex = typeof criteria.regex === 'string' ? new RegExp(criteria.regex) : criteria.regex;
+    const states = criteria.states && criteria.states.length ? new Set(criteria.states) : null;
+    const operators = criteria.operators && criteria.operators.length ? new Set(criteria.operators) : null;
+
+    return node => {
+        const id = String(node.id);
+        const label = String(node.data.label);
+        if (text && !id.toLowerCase().includes(text) && !label.toLowerCase().includes(text))
+            return false;
+        if (regex && !regex.test(id) && !regex.test(label))
+            return false;
+        if (states && (node._children || !node.row.some(cell => states.has(cell.state || 'no_status'))))
+            return false;
+        if (operators && (node._children || !operators.has(node.data.operator)))
+            return false;
+        return true;
+    };
+}
@@ -0,0 +1,94 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Keyboard navigation and labels of the WAI-ARIA treegrid pattern for TaskInstanceTree.
+// See https://www.w3.org/TR/wai-aria-practices/#treegrid
+//
+// The focus is {nodeId, column}. column is -1 for the row header (the node itself) and
+// otherwise the index of an execution_date.
+
+import {mappedSummary} from './taskInstanceDetails.js';
+
+// Label read by screen readers for a node
+export function nodeLabel(node) {
+    if (!node.parent)
+        return `DAG ${node.data.label}`;
+    if (node.data.mapped)
+        return `Mapped task ${node.id}`;
+    if (node.data.map_index !== undefined)
+        return `Task ${node.data.task_id}, map index ${node.data.map_index}`;
+    return `${node._children ? 'TaskGroup' : 'Task'} ${node.id}`;
+}
+
+// Label read by screen readers for a cell. formatDate formats the execution_date, see timezones.js.
+export function cellLabel(cell, formatDate = date => date) {
+    const state = cell.node.data.mapped ? mappedSummary(cell) : cell.state || 'no status';
+    return `${cell.node.parent ? cell.node.id : cell.node.data.label}, ${formatDate(cell.executionDateString)}, ${state}`;
+}
+
+// Return the focus after pressing key, or null if the key isn't used by the tree grid.
+// grid is {rows, columnCount, cellAt(rowIndex, column)}, rows being the visible nodes from top to
+// bottom. Keys that change the tree call actions.toggleNode(node), actions.toggleCell(cell) or
+// actions.activateCell(cell).
+export function moveFocus(key, focus, grid, actions) {
+    const rowIndex = grid.rows.findIndex(node => node.id == focus.nodeId);
+    if (rowIndex == -1)
+        return null;
+
+    const node = grid.rows[rowIndex];
+    const isGroup = Boolean(node._children);
+    const lastColumn = grid.columnCount - 1;
+    const cell = focus.column >= 0 ? grid.cellAt(rowIndex, focus.column) : undefined;
+
+    switch (key) {
+        case 'ArrowDown':
+            return { nodeId: grid.rows[Math.min(rowIndex + 1, grid.rows.length - 1)].id, column: focus.column };
+        case 'ArrowUp':
+            return { nodeId: grid.rows[Math.max(rowIndex - 1, 0)].id, column: focus.column };
+        case 'ArrowRight':
+            // On a row header, expand a collapsed TaskGroup before moving into the cells
+            if (focus.column == -1 && isGroup && !node.children) {
+                actions.toggleNode(node);
+                return focus;
+            }
+            return { nodeId: node.id, column: Math.min(focus.column + 1, lastColumn) };
+        case 'ArrowLeft':
+            if (focus.column >= 0)
+                return { nodeId: node.id, column: focus.column - 1 };
+            // On a row header, collapse an expanded TaskGroup, or else move to the parent TaskGroup
+            if (isGroup && node.children) {
+                actions.toggleNode(node);
+                return focus;
+            }
+            return node.parent ? { nodeId: node.parent.id, column: -1 } : focus;
+        case 'Home':
+            return { nodeId: node.id, column: -1 };
+        case 'End':
+            return { nodeId: node.id, column: lastColumn };
+        case ' ':
+            if (cell)
+                actions.toggleCell(cell);
+            else if (focus.column == -1 && isGroup)
+                actions.toggleNode(node);
+            return focus;
+        case 'Enter':
+            if (cell)
+                actions.activateCell(cell);
+            else if (focus.column == -1 && isGroup)
+                actions.toggleNode(node);
+            return focus;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,105 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Saving what the user did with a TaskInstanceTree, so that it survives a reload and can be shared
+// as a link. The state of a DAG is {expanded, unchecked}: the ids of the expanded TaskGroups, and the
+// task_ids of the unchecked task instances by execution_date. It's kept in localStorage ('local')
+// and/or in the URL hash ('hash'), where each DAG is a parameter named after its dag_id.
+
+const STORAGE_PREFIX = 'task-instance-tree:';
+
+// Turn the persist attribute (e.g. "local hash") or option into the list of places to save to
+export function parseStorages(value) {
+    if (!value)
+        return [];
+    const storages = Array.isArray(value) ? value : value.split(/\s+/);
+    return storages.filter(storage => storage == 'local' || storage == 'hash');
+}
+
+// Return the state of a tree from its nodes by id and cells by id (see TaskInstanceTree.buildHierarchy())
+export function captureState(nodeMap, cellStateMap) {
+    const expanded = [];
+    nodeMap.forEach((node, id) => {
+        if (node._children && node.children)
+            expanded.push(id);
+    });
+
+    const unchecked = {};
+    cellStateMap.forEach(cell => {
+        if (cell.nodeType != 'BaseOperator' || cell.checked)
+            return;
+        const date = cell.executionDate.toJSON();
+        unchecked[date] = unchecked[date] || [];
+        unchecked[date].push(cell.node.id);
+    });
+
+    return { expanded, unchecked };
+}
+
+// Expand the TaskGroups and uncheck the task instances listed in state. cellOf(taskId, date) returns
+// the cell of a task instance. Ids and dates that no longer exist are skipped.
+export function applyState(state, nodeMap, cellOf) {
+    const expanded = new Set(Array.isArray(state.expanded) ? state.expanded : []);
+    nodeMap.forEach((node, id) => {
+        if (node._children)
+            node.children = expanded.has(id) ? node._children : null;
+    });
+
+    Object.entries(state.unchecked || {}).forEach(([date, taskIds]) => {
+        if (!Array.isArray(taskIds))
+            return;
+        taskIds.forEach(taskId => {
+            const cell = cellOf(taskId, date);
+            if (cell && cell.nodeType == 'BaseOperator')
+                cell.checked = false;
+        });
+    });
+}
+
+// Return the saved state of a DAG, or null if there is none. The URL hash wins over localStorage,
+// so that a shared link shows what it was shared with.
+export function readState(dagId, storages) {
+    try {
+        if (storages.includes('hash')) {
+            const value = new URLSearchParams(window.location.hash.slice(1)).get(dagId);
+            if (value)
+                return JSON.parse(value);
+        }
+        if (storages.includes('local')) {
+            const value = window.localStorage.getItem(STORAGE_PREFIX + dagId);
+            if (value)
+                return JSON.parse(value);
+        }
+    } catch (error) {
+        console.warn(`Ignoring the saved state of ${dagId}: ${error.message}`);
+    }
+    return null;
+}
+
+// Save the state of a DAG. The URL hash is replaced rather than added to the history.
+export function writeState(dagId, state, storages) {
+    const value = JSON.stringify(state);
+    try {
+        if (storages.includes('hash')) {
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            params.set(dagId, value);
+            window.history.replaceState(window.history.state, '', `#${params}`);
+        }
+        if (storages.includes('local'))
+            window.localStorage.setItem(STORAGE_PREFIX + dagId, value);
+    } catch (error) {
+        // E.g. localStorage is full or disabled
+        console.warn(`Failed to save the state of ${dagId}: ${error.message}`);
+    }
+}
@@ -0,0 +1,191 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import * as d3 from 'd3';
+import {ROOT_ID} from './validateDag.js';
+
+// The helpers of TaskInstanceTree that don't need the element or the DOM: building the hierarchy of
+// a DAG, rolling up states and walking the nodes
+
+// Create a hierachical root from a flat list structure of tasks. The root is labelled 'DAG' when the
+// dag_id isn't known, e.g. for nodes set without a dag-id attribute.
+export function stratifyDag(dagId, tasks) {
+    const stratifyTasks = d3.stratify().id(d => d.id).parentId(d => d.group_id);
+
+    const dummyRoot = {
+        id: ROOT_ID,
+        label: dagId == null ? 'DAG' : String(dagId),
+        group_id: null,
+    };
+
+    const nodesList = tasks.map(t => {
+        const taskCopy = Object.assign({}, t);
+        if (taskCopy.group_id === null)
+            taskCopy.group_id = dummyRoot.id;
+        if (taskCopy.task_instances)
+            taskCopy.task_instances = taskCopy.task_instances.map(normalizeTaskInstance);
+        return taskCopy;
+    })
+    nodesList.push(dummyRoot);
+    return stratifyTasks(nodesList);
+}
+
+// The map_index of a task instance of a dynamically mapped task. Like in Airflow, it's -1 for
+// the task instances of tasks that aren't mapped.
+export function taskInstanceMapIndex(taskInstance) {
+    return typeof taskInstance == 'object' && typeof taskInstance.map_index == 'number' ? taskInstance.map_index : -1;
+}
+
+// The id of the row of one map_index of a mapped task, e.g. "process[3]". Task ids can't contain
+// brackets, so it can't clash with the id of another task.
+export function mappedTaskId(taskId, mapIndex) {
+    return `${taskId}[${mapIndex}]`;
+}
+
+// Turn the dynamically mapped tasks, those with task instances that have a map_index, into a node
+// with a child for each map_index. The node is drawn like a TaskGroup, so that its cells summarize
+// the mapped task instances of each run and it expands into a row per map_index. The children
+// have the task_id and map_index of their task instances.
+export function expandMappedTasks(tasks) {
+    const expanded = [];
+    tasks.forEach(task => {
+        if (!task.task_instances || !task.task_instances.some(ti => taskInstanceMapIndex(ti) != -1)) {
+            expanded.push(task);
+            return;
+        }
+
+        const byMapIndex = new Map();
+        task.task_instances.forEach(ti => {
+            const mapIndex = taskInstanceMapIndex(ti);
+            if (!byMapIndex.has(mapIndex))
+                byMapIndex.set(mapIndex, []);
+            byMapIndex.get(mapIndex).push(ti);
+        });
+
+        const mappedTask = Object.assign({}, task, { mapped: true });
+        delete mappedTask.task_instances;
+        expanded.push(mappedTask);
+        Array.from(byMapIndex.keys()).sort((a, b) => a - b).forEach(mapIndex => {
+            expanded.push({
+                id: mappedTaskId(task.id, mapIndex),
+                label: `[${mapIndex}]`,
+                group_id: task.id,
+                operator: task.operator,
+                task_id: task.id,
+                map_index: mapIndex,
+                task_instances: byMapIndex.get(mapIndex),
+            });
+        });
+    });
+    return expanded;
+}
+
+// The order in which states win when rolling up the state of a TaskGroup. E.g. any failed task
+// makes the group failed, and the group is only success if all of its tasks are success (or skipped).
+export const STATE_PRIORITY = [
+    'failed',
+    'upstream_failed',
+    'up_for_retry',
+    'running',
+    'queued',
+    'no_status',
+    'success',
+    'skipped',
+];
+
+// A task_instances entry is either an execution_date string or an object like
+// {execution_date, state, try_number, start_date, end_date}. Always return the object form.
+export function normalizeTaskInstance(taskInstance) {
+    if (typeof taskInstance === 'string')
+        return { execution_date: taskInstance };
+    return Object.assign({}, taskInstance);
+}
+
+// Return the state used for coloring a task instance. Entries given as plain strings carry no state
+// and return undefined, in which case the cell keeps the default task/group color.
+export function taskInstanceState(taskInstance) {
+    if (taskInstance.state === undefined)
+        return undefined;
+    return taskInstance.state === null ? 'no_status' : taskInstance.state;
+}
+
+// Combine the states of the task instances in a TaskGroup into a single state
+export function rollupState(states) {
+    const known = new Set(states.filter(state => state !== undefined));
+    if (known.size == 0)
+        return undefined;
+
+    const winner = STATE_PRIORITY.find(state => known.has(state));
+    // States not listed in STATE_PRIORITY are treated as no_status
+    return winner || 'no_status';
+}
+
+// Return the css classes of the rect of a cell
+export function cellClass(cell) {
+    return [cell.nodeType == 'TaskGroup' ? 'task-group-rect' : 'task-instance-rect'].concat(stateClasses(cell)).join(' ');
+}
+
+// Return the css classes of the bar drawn over a cell in the duration and Gantt views
+export function timingBarClass(cell) {
+    return ['timing-bar'].concat(stateClasses(cell)).join(' ');
+}
+
+// The classes for the state of a cell and for whether it's checked
+function stateClasses(cell) {
+    const classes = [];
+    if (cell.state !== undefined)
+        classes.push(`state-${cell.state}`);
+    if (cell.indeterminate)
+        classes.push('rect-indeterminate');
+    else if (!cell.checked)
+        classes.push('rect-unchecked');
+    return classes;
+}
+
+// Create identifier for a rect checkbox. executionDate is a moment or its toJSON() string.
+export function rectId(taskId, executionDate) {
+    return JSON.stringify([taskId, executionDate]);
+}
+
+// Given a node, return the unique execution_date of itself and its children
+export function childrenExecutionDates(node) {
+    const uniqueDates = new Set();
+
+    node.each(child => {
+        if (child.data.task_instances)
+            child.data.task_instances.forEach(ti => uniqueDates.add(ti.execution_date));
+    });
+
+    return uniqueDates;
+}
+
+// Find the height of the tree that is currently expanded
+export function expandedHeight(node) {
+    if (!node.children)
+        return 0;
+
+    return 1 + Math.max(...node.children.map(child => expandedHeight(child)));
+}
+
+// Call callback for node and all its descendants, including those in collapsed TaskGroups
+export function eachNode(node, callback) {
+    callback(node);
+    if (node._children)
+        node._children.forEach(child => eachNode(child, callback));
+}
+
+// Returns if node is a leaf node (except a collapsed root node)
+export function isLeafNode(node) {
+    return (!node.children && node.parent != null);
+}
@@ -0,0 +1,58 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {requestFlags, postDagRequests} from './airflowApi.js';
+
+// Client for Airflow's stable REST API endpoint POST /dags/{dag_id}/updateTaskInstancesState.
+// The endpoint sets the state of one task on one execution_date, so a selection of
+// {dag_id, task_id, execution_date} is turned into one request per task instance. It has no
+// map_index, so the task instances of a mapped task on a run are set all at once.
+
+const DEFAULT_OPTIONS = {
+    include_upstream: false,
+    include_downstream: false,
+    include_future: false,
+    include_past: false,
+    // Same default as the endpoint: only report what would be set
+    dry_run: true,
+};
+
+// Build the request bodies setting the given task instances to newState ('success' or 'failed').
+// Returns a list of {dagId, body}, one per dag_id, task_id and execution_date.
+export function buildStateRequests(taskInstances, newState, options = {}) {
+    const flags = requestFlags(DEFAULT_OPTIONS, options);
+
+    const requests = new Map();
+    taskInstances.forEach(ti => {
+        const key = JSON.stringify([ti.dag_id, ti.task_id, ti.execution_date]);
+        if (!requests.has(key)) {
+            requests.set(key, {
+                dagId: ti.dag_id,
+                body: Object.assign({
+                    task_id: ti.task_id,
+                    execution_date: ti.execution_date,
+                    new_state: newState,
+                }, flags),
+            });
+        }
+    });
+
+    return Array.from(requests.values());
+}
+
+// Send the requests to the Airflow API, see airflowApi.js for the options. Resolves to the list of
+// parsed responses, in the same order as buildStateRequests().
+export function updateTaskInstancesState(taskInstances, newState, options = {}) {
+    return postDagRequests('updateTaskInstancesState', buildStateRequests(taskInstances, newState, options), options);
+}
@@ -0,0 +1,143 @@
+/*
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import moment from 'moment';
+
+// Checking the nodes of a DAG before they're stratified, so that bad data is reported as a list of
+// readable problems rather than as an exception from deep inside d3 or moment. Like in
+// taskDependencies.js, the problems are strings.
+
+// The id of the node added as the root of every DAG
+export const ROOT_ID = '[DAG]';
+
+// Thrown when a DAG can't be drawn, either because its data is unusable or because it has problems
+// and the tree is strict (see the validation attribute of TaskInstanceTree)
+export class InvalidDagError extends Error {
+    constructor(dagId, problems) {
+        super(problems.length == 1 ? problems[0] : `${problems.length} problems in the data`);
+        this.name = 'InvalidDagError';
+        this.dagId = dagId;
+        this.problems = problems;
+    }
+}
+
+// Check a list of nodes and return {nodes, problems}, where nodes is a repaired copy that can be
+// drawn, or null if there's nothing to draw. The repairs are:
+//  - nodes without an id and duplicate ids (after the first) are left out
+//  - a missing label is the last part of the id, a missing group_id is null
+//  - nodes in an unknown TaskGroup, or in a cycle of TaskGroups, are moved to the top level
+//  - task instances with an unparseable execution_date are left out
+// TaskGroups without any tasks are reported but drawn as they are.
+export function validateDag(nodes) {
+    if (!Array.isArray(nodes))
+        return { nodes: null, problems: ['The nodes are not a list'] };
+
+    const problems = [];
+    const byId = new Map();
+    // Whether each execution_date parses, as most of them are shared by all the tasks
+    const validDates = new Map();
+    nodes.forEach((node, index) => {
+        if (!node || typeof node != 'object' || (typeof node.id != 'string' && typeof node.id != 'number')) {
+            problems.push(`Node ${index} has no id`);
+            return;
+        }
+        if (node.id == ROOT_ID) {
+            problems.push(`${ROOT_ID} is reserved for the DAG itself`);
+            return;
+        }
+        if (byId.has(node.id)) {
+            problems.push(`Duplicate id ${node.id}`);
+            return;
+        }
+        byId.set(node.id, validateNode(node, validDates, problems));
+    });
+
+    byId.forEach(node => {
+        if (node.group_id !== null && !byId.has(node.group_id)) {
+            problems.push(`${node.id} is in unknown TaskGroup ${node.group_id}`);
+            node.group_id = null;
+        }
+    });
+    breakGroupCycles(byId, problems);
+
+    // A node is a task if it has task instances (even none), and a TaskGroup otherwise
+    const groups = new Set(Array.from(byId.values()).map(node => node.group_id).filter(id => id !== null));
+    const withTasks = new Set();
+    byId.forEach(node => {
+        if (node.task_instances && !groups.has(node.id)) {
+            for (let id = node.id; id !== null && !withTasks.has(id); id = byId.get(id).group_id)
+                withTasks.add(id);
+        }
+    });
+    byId.forEach(node => {
+        if (!withTasks.has(node.id))
+            problems.push(`TaskGroup ${node.id} has no tasks`);
+    });
+
+    return { nodes: Array.from(byId.values()), problems };
+}
+
+// Return a copy of node with its label, group_id and task instances repaired
+function validateNode(node, validDates, problems) {
+    const copy = Object.assign({}, node);
+
+    if (typeof copy.label != 'string' || !copy.label) {
+        problems.push(`${copy.id} has no label`);
+        copy.label = String(copy.id).split('.').pop();
+    }
+
+    if (copy.group_id === undefined) {
+        problems.push(`${copy.id} has no group_id`);
+        copy.group_id = null;
+    }
+
+    if (copy.task_instances !== undefined && !Array.isArray(copy.task_instances)) {
+        problems.push(`The task_instances of ${copy.id} are not a list`);
+        copy.task_instances = [];
+    }
+
+    if (copy.task_instances) {
+        copy.task_instances = copy.task_instances.filter(ti => {
+            // A task instance can also be just its execution_date, see normalizeTaskInstance()
+            const date = typeof ti == 'string' ? ti : ti && ti.execution_date;
+            if (typeof date == 'string' && !validDates.has(date))
+                validDates.set(date, moment.parseZone(date, moment.ISO_8601).isValid());
+            if (validDates.get(date))
+                return true;
+            problems.push(`${copy.id} has a task instance with an invalid execution_date ${JSON.stringify(date)}`);
+            return false;
+        });
+    }
+
+    return copy;
+}
+
+// Move the nodes whose TaskGroup contains them (through any number of TaskGroups) to the top level
+function breakGroupCycles(byId, problems) {
+    // Ids whose chain of TaskGroups is known to end at the top level
+    const done = new Set();
+    byId.forEach((node, start) => {
+        const path = [];
+        for (let id = start; id !== null && !done.has(id); id = byId.get(id).group_id) {
+            const index = path.indexOf(id);
+            if (index != -1) {
+                problems.push(`TaskGroup cycle: ${path.slice(index).concat([id]).join(' > ')}`);
+                byId.get(path[path.length - 1]).group_id = null;
+                break;
+            }
+            path.push(id);
+        }
+        path.forEach(id => done.add(id));
+    });
+}